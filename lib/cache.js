@@ -0,0 +1,122 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018 Joyent, Inc.
+ */
+
+'use strict';
+
+/*
+ * A cache for the lookups made by validation functions during a single
+ * validation run (see the `cache` option to validateParams()), so that
+ * validators and "after" functions that load the same record only load it
+ * once.
+ */
+
+var assert = require('assert-plus');
+var util_common = require('./common');
+
+
+
+/*
+ * Exports
+ * =======
+ */
+
+
+
+function RequestCache() {
+    /*
+     * Keys come from callers (e.g. from parameter values), so the map
+     * mustn't inherit anything, such as a "__proto__" setter.
+     */
+    this.entries = Object.create(null);
+}
+
+
+/*
+ * Calls back with the result of loader for the given key, calling loader only
+ * if this is the first lookup of the key. Lookups made while the first is in
+ * progress wait for it rather than calling loader again. Errors are cached
+ * as well as results, including an exception thrown by loader.
+ *
+ * @param key {String}: Identifies the lookup, e.g. "owner:<uuid>"
+ * @param loader {Function}: Called with a callback, which it either calls
+ *     with (err, result) or returns a promise (as for validation functions)
+ * @param callback {Function}: Callback with (err, result). If not given, a
+ *     promise is returned instead.
+ */
+RequestCache.prototype.get = function get(key, loader, callback) {
+    var entry;
+
+    assert.string(key, 'key');
+    assert.func(loader, 'loader');
+
+    if (typeof (callback) === 'undefined') {
+        return util_common.toPromise(this.get.bind(this, key, loader));
+    }
+
+    assert.func(callback, 'callback');
+
+    if (util_common.hasKey(this.entries, key)) {
+        entry = this.entries[key];
+
+        if (entry.done) {
+            callback(entry.err, entry.result);
+        } else {
+            entry.waiting.push(callback);
+        }
+
+        return undefined;
+    }
+
+    entry = this.entries[key] = {
+        done: false,
+        err: null,
+        result: undefined,
+        waiting: [ callback ]
+    };
+
+    function settle(err, result) {
+        var waiting = entry.waiting;
+
+        if (entry.done) {
+            return;
+        }
+
+        entry.done = true;
+        entry.err = err || null;
+        entry.result = result;
+        entry.waiting = [];
+
+        waiting.forEach(function (cb) {
+            cb(entry.err, entry.result);
+        });
+    }
+
+    try {
+        util_common.callValidationFn(loader, [], settle);
+    } catch (loadErr) {
+        settle(loadErr);
+    }
+
+    return undefined;
+};
+
+
+/*
+ * Returns true if there's a cached (or in-progress) lookup for key.
+ */
+RequestCache.prototype.has = function has(key) {
+    return util_common.hasKey(this.entries, key);
+};
+
+
+
+module.exports = {
+    RequestCache: RequestCache
+};
@@ -10,6 +10,10 @@
 
 'use strict';
 
+/* global Promise: false */
+
+var fmt = require('util').format;
+
 /*
  * Turn a value into an array, unless it is one already.
  */
@@ -40,7 +44,326 @@ function hashEmpty(hash) {
 }
 
 
+/*
+ * Returns true if obj has its own property named key. Parsed query strings
+ * don't inherit from Object.prototype, so we can't use obj.hasOwnProperty().
+ */
+function hasKey(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+
+/*
+ * Returns a deep copy of the arrays and plain objects in a value, so that a
+ * default value can be handed out without the validated objects sharing it.
+ * Other objects (e.g. Dates) are returned as-is.
+ */
+function deepCopy(val) {
+    var copy;
+    var proto;
+
+    if (Array.isArray(val)) {
+        return val.map(deepCopy);
+    }
+
+    if (val === null || typeof (val) !== 'object') {
+        return val;
+    }
+
+    proto = Object.getPrototypeOf(val);
+    if (proto !== Object.prototype && proto !== null) {
+        return val;
+    }
+
+    copy = {};
+    for (var k in val) {
+        if (hasKey(val, k)) {
+            copy[k] = deepCopy(val[k]);
+        }
+    }
+
+    return copy;
+}
+
+
+/*
+ * Appends the warnings a validation function called back with (either a
+ * single warning or an array of them, if any) to the array `warnings`. They
+ * must have the same form as errors (see errors.paramWarning()): since they
+ * come from a validation function's callback, where throwing would escape to
+ * whatever called it back, a malformed one is returned as an Error (which
+ * the caller reports as an internal error), rather than asserted on.
+ */
+function addWarnings(warnings, w) {
+    var list;
+    var warning;
+    var name;
+
+    if (!w) {
+        return null;
+    }
+
+    list = Array.isArray(w) ? w : [ w ];
+
+    for (var i = 0; i < list.length; i++) {
+        warning = list[i];
+        name = fmt('warnings[%d]', i);
+
+        if (typeof (warning) !== 'object' || warning === null) {
+            return new Error(name + ' (object) is required');
+        }
+        if (typeof (warning.field) !== 'string' &&
+            !Array.isArray(warning.field)) {
+            return new Error(name + '.field (string or array) is required');
+        }
+        if (typeof (warning.code) !== 'string') {
+            return new Error(name + '.code (string) is required');
+        }
+        if (typeof (warning.message) !== 'string') {
+            return new Error(name + '.message (string) is required');
+        }
+    }
+
+    warnings.push.apply(warnings, list);
+
+    return null;
+}
+
+
+/*
+ * Calls a validation function with the given arguments and a callback. The
+ * function may either call the callback, or return a promise (e.g. be an async
+ * function). If it returns a promise, the resolved value is passed to the
+ * callback as the validated value, and the rejection reason as the error: an
+ * object from errors.invalidParam() will be reported as a parameter error, and
+ * anything else as an internal error.
+ */
+function callValidationFn(func, args, callback) {
+    invoke(func, args, callback, true);
+}
+
+
+/*
+ * Calls an "after" function in the same way as callValidationFn(), except
+ * that the value a returned promise resolves to is ignored: the second
+ * argument to an "after" function's callback is for warnings, which it can
+ * only report by calling the callback.
+ */
+function callAfterFn(func, args, callback) {
+    invoke(func, args, callback, false);
+}
+
+
+/*
+ * Implements callValidationFn() and callAfterFn(). `useResolved` says whether
+ * to pass the value a returned promise resolves to to the callback. `args` is
+ * a new array from the caller, so the callback is appended to it in place.
+ */
+function invoke(func, args, callback, useResolved) {
+    var called = false;
+    var ret;
+
+    function cb(err, validated, multi, warnings) {
+        if (called) {
+            return;
+        }
+        called = true;
+        callback(err, validated, multi, warnings);
+    }
+
+    args.push(cb);
+    ret = func.apply(null, args);
+
+    if (!ret || typeof (ret.then) !== 'function') {
+        return;
+    }
+
+    /*
+     * Call back on the next tick, so that exceptions thrown by the callback
+     * don't end up as rejections of this promise.
+     */
+    ret.then(function (validated) {
+        process.nextTick(cb, null, useResolved ? validated : undefined);
+    }, function (err) {
+        process.nextTick(cb, err || new Error('validation function rejected'));
+    });
+}
+
+
+/*
+ * Returns the context object passed to validation functions that use one
+ * (see validate.withContext()), from `opts`, which has the same fields. Only
+ * `arg` and `name` are needed: `path` defaults to `name`, `raw`, `validated`
+ * and `deps` to empty objects, and the rest to null.
+ */
+function validationContext(opts) {
+    return {
+        arg: opts.arg,
+        req: opts.req || null,
+        log: opts.log || null,
+        raw: opts.raw || {},
+        validated: opts.validated || {},
+        deps: opts.deps || {},
+        name: opts.name,
+        path: opts.path || opts.name,
+        cache: opts.cache || null
+    };
+}
+
+
+/*
+ * Returns the context for validating part of the value validated with ctx
+ * (e.g. an element of an array), whose name is ctx's name plus `suffix`.
+ */
+function subContext(ctx, suffix) {
+    var sub = {};
+
+    for (var k in ctx) {
+        sub[k] = ctx[k];
+    }
+
+    sub.name = ctx.name + suffix;
+    sub.path = ctx.path + suffix;
+
+    return sub;
+}
+
+
+/*
+ * Returns a validation function taking the classic (arg, name, value,
+ * callback) arguments, for a validator implemented with a context (`impl`,
+ * called with (ctx, value, callback)), so that it can be called directly as
+ * well as by the engine. The engine calls `impl` with its full context (see
+ * callFieldFn()).
+ */
+function classicValidator(impl) {
+    function validator(arg, name, value, callback) {
+        return impl(validationContext({ arg: arg, name: name }), value,
+            callback);
+    }
+
+    validator.contextFn = impl;
+
+    return validator;
+}
+
+
+/*
+ * Calls a field's validation function, passing its context function (see
+ * validate.withContext() and classicValidator()) the context, or otherwise
+ * calling it with the classic (arg, name, value) arguments.
+ */
+function callFieldFn(func, ctx, value, callback) {
+    if (func.contextFn) {
+        callValidationFn(func.contextFn, [ ctx, value ], callback);
+        return;
+    }
+
+    callValidationFn(func, [ ctx.arg, ctx.name, value ], callback);
+}
+
+
+/*
+ * Returns the number of milliseconds since `start`, a value returned by
+ * process.hrtime().
+ */
+function elapsedMs(start) {
+    var diff = process.hrtime(start);
+
+    return diff[0] * 1e3 + diff[1] / 1e6;
+}
+
+
+/*
+ * Calls func with a node-style callback, and returns a promise that is
+ * settled with its result.
+ */
+function toPromise(func) {
+    return new Promise(function (resolve, reject) {
+        func(function (err, res) {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            resolve(res);
+        });
+    });
+}
+
+
+/*
+ * Returns the edit (Levenshtein) distance between two strings.
+ */
+function editDistance(a, b) {
+    var prev = [];
+    var cur;
+    var i, j;
+
+    for (j = 0; j <= b.length; j++) {
+        prev.push(j);
+    }
+
+    for (i = 1; i <= a.length; i++) {
+        cur = [ i ];
+        for (j = 1; j <= b.length; j++) {
+            cur.push(Math.min(prev[j] + 1, cur[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+        }
+        prev = cur;
+    }
+
+    return prev[b.length];
+}
+
+
+/*
+ * Returns the names in `candidates` that `name` is probably a typo of, closest
+ * first. Names that only differ in case or separators (e.g. "ownerUuid" and
+ * "owner_uuid") are always considered close. Otherwise, the distance must be
+ * less than the length of both names, since a very short name is only an
+ * edit or two from many others (e.g. "c" is one edit from "a" and "ip").
+ */
+function closeMatches(name, candidates) {
+    function normalize(str) {
+        return str.toLowerCase().replace(/[_\-]/g, '');
+    }
+
+    var norm = normalize(name);
+    var maxDist = norm.length < 5 ? 1 : 2;
+
+    return candidates.map(function (c) {
+        var cnorm = normalize(c);
+
+        return {
+            name: c,
+            dist: editDistance(norm, cnorm),
+            len: Math.min(norm.length, cnorm.length)
+        };
+    }).filter(function (m) {
+        return m.dist === 0 || (m.dist <= maxDist && m.dist < m.len);
+    }).sort(function (x, y) {
+        return x.dist - y.dist;
+    }).slice(0, 3).map(function (m) {
+        return m.name;
+    });
+}
+
+
 module.exports = {
+    addWarnings: addWarnings,
     arrayify: arrayify,
-    hashEmpty: hashEmpty
+    callAfterFn: callAfterFn,
+    callFieldFn: callFieldFn,
+    callValidationFn: callValidationFn,
+    classicValidator: classicValidator,
+    closeMatches: closeMatches,
+    deepCopy: deepCopy,
+    editDistance: editDistance,
+    elapsedMs: elapsedMs,
+    hashEmpty: hashEmpty,
+    hasKey: hasKey,
+    subContext: subContext,
+    toPromise: toPromise,
+    validationContext: validationContext
 };
@@ -17,8 +17,13 @@
 var MESSAGES = {
     INVALID_PARAMS: 'Invalid parameters',
     ARRAY_OF_STR: 'must be an array of strings',
+    ARRAY: 'must be an array',
+    ARRAY_OR_STR: 'must be an array or a comma-separated string',
     ARRAY_EMPTY: 'must not be an empty array',
     STR: 'must be a string',
+    OBJ: 'must be an object',
+    INT: 'must be an integer',
+    NUM: 'must be a number',
     STR_EMPTY: 'must not be empty',
     INVALID_UUID: 'invalid UUID',
     UUID_PREF: 'only UUID prefixes are allowed',
@@ -0,0 +1,1916 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018 Joyent, Inc.
+ */
+
+'use strict';
+
+/*
+ * Basic parameter validation engine. The library's interface is in
+ * validate.js, which exports these along with the validators, middleware and
+ * schema converters, all of which can require this file directly.
+ */
+
+var errors = require('./errors');
+var util_common = require('./common');
+var constants = require('./constants');
+var RequestCache = require('./cache').RequestCache;
+var assert = require('assert-plus');
+var fmt = require('util').format;
+var verror = require('verror');
+var vasync = require('vasync');
+
+
+/*
+ * Globals
+ * =======
+ */
+
+
+var UNKNOWN_POLICIES = [ 'reject', 'strip', 'passthrough', 'warn' ];
+var OBSERVER_HOOKS = [ 'onFieldStart', 'onFieldEnd', 'onAfter', 'onResult' ];
+var REDACTED = '[REDACTED]';
+
+/*
+ * Shared by the (many) fields without aliases or dependencies, so that
+ * compiling them doesn't allocate.
+ */
+var NONE = Object.freeze([]);
+
+var CONSTRAINT_OPTS = [ 'oneOf', 'anyOf', 'mutuallyExclusive', 'requiredIf',
+    'forbiddenIf' ];
+
+/*
+ * The constraints for a schema without any, which runSchema() can skip
+ * checking.
+ */
+var NO_CONSTRAINTS = Object.freeze({
+    oneOf: NONE,
+    anyOf: NONE,
+    mutuallyExclusive: NONE,
+    requiredIf: NONE,
+    forbiddenIf: NONE
+});
+
+
+/*
+ * Calls callback with the appropriate error depending on the contents of errs,
+ * or with the validated parameters and meta information about them if there
+ * were no errors.
+ */
+function errResult(errs, validated, meta, callback) {
+    var invalid = false;
+
+    if (errs.length !== 0) {
+        var realErrs = [];
+        var sortedErrs = errs.filter(function (e) {
+            if (!e.hasOwnProperty('field')) {
+                realErrs.push(e);
+                return false;
+            }
+            if (!invalid && e.hasOwnProperty('code') &&
+                e.code !== 'MissingParameter') {
+                invalid = true;
+            }
+
+            return true;
+        }).sort(function (a, b) { return (a.field > b.field) ? 1 : -1; });
+
+        if (realErrs.length !== 0) {
+            callback(new errors.InternalError(
+                realErrs.length === 1 ? realErrs[0] :
+                    new verror.MultiError(realErrs),
+                'Internal error'));
+            return;
+        }
+
+        callback(new errors.InvalidParamsError(
+            invalid ? constants.msg.INVALID_PARAMS : 'Missing parameters',
+            sortedErrs));
+        return;
+    }
+
+    callback(null, validated, meta);
+}
+
+
+/*
+ * Returns a copy of an error or warning for a field of an object (or one of
+ * the sources in validateSources()), with its field (or fields) prefixed with
+ * the object's name. The keys of an unknown parameters error's suggestions
+ * (see errors.unknownParams()) are the unknown fields, so they're prefixed
+ * too, so that they still match `field`.
+ */
+function prefixFields(name, e) {
+    var pe = {};
+
+    function prefix(field) {
+        return name + '.' + field;
+    }
+
+    for (var k in e) {
+        pe[k] = e[k];
+    }
+
+    pe.field = Array.isArray(e.field) ? e.field.map(prefix) : prefix(e.field);
+
+    if (e.suggestions) {
+        pe.suggestions = {};
+        for (k in e.suggestions) {
+            pe.suggestions[prefix(k)] = e.suggestions[k];
+        }
+    }
+
+    return pe;
+}
+
+
+/*
+ * Turns an array of validation functions into a single validation function.
+ * The functions are run in order, each being passed the value produced by the
+ * one before it (or the previous value, if it didn't produce one), and we bail
+ * after the first failure. Any "multi" objects produced along the way are
+ * merged together, with later functions taking precedence.
+ */
+function validateChain(fns) {
+    assert.arrayOfFunc(fns, 'fns');
+
+    /*
+     * This takes a context (see withContext()) so that it can pass it on to
+     * any functions in the chain that use one.
+     */
+    function _validateChain(ctx, value, callback) {
+        var multi;
+        var warnings = [];
+        var i = 0;
+
+        function next() {
+            if (i === fns.length) {
+                callback(null, value, multi, warnings);
+                return;
+            }
+
+            util_common.callFieldFn(fns[i++], ctx, value,
+                    function (e, validated, m, w) {
+                var warnErr = util_common.addWarnings(warnings, w);
+
+                if (e || warnErr) {
+                    callback(e || warnErr);
+                    return;
+                }
+
+                if (typeof (validated) !== 'undefined') {
+                    value = validated;
+                }
+
+                if (typeof (m) === 'object' && m !== null) {
+                    multi = multi || {};
+                    for (var v in m) {
+                        multi[v] = m[v];
+                    }
+                }
+
+                next();
+            });
+        }
+
+        next();
+    }
+
+    /*
+     * For redacting sensitive fields of nested objects (see redactValue()).
+     */
+    _validateChain.chain = fns;
+
+    return withContext(_validateChain);
+}
+
+
+/*
+ * Returns true if the entry for a field in opts.required or opts.optional is
+ * an object with the validation function as `fn`, rather than just the
+ * validation function(s).
+ */
+function isFieldSpec(entry) {
+    return (entry !== null && typeof (entry) === 'object' &&
+        !Array.isArray(entry));
+}
+
+
+/*
+ * Returns true if the entry for a field in opts.optional specifies a default
+ * value.
+ */
+function hasDefault(entry) {
+    return isFieldSpec(entry) && util_common.hasKey(entry, 'default');
+}
+
+
+/*
+ * Returns the list of aliases for a field from its entry in opts.required or
+ * opts.optional, as objects with the alias as `name` and whether it's
+ * deprecated as `deprecated` (frozen).
+ */
+function fieldAliases(entry, name) {
+    if (!isFieldSpec(entry) || typeof (entry.aliases) === 'undefined') {
+        return NONE;
+    }
+
+    assert.array(entry.aliases, name + '.aliases');
+
+    return Object.freeze(entry.aliases.map(function (alias, i) {
+        var aname = fmt('%s.aliases[%d]', name, i);
+
+        if (typeof (alias) === 'string') {
+            alias = { name: alias };
+        }
+
+        assert.object(alias, aname);
+        assert.string(alias.name, aname + '.name');
+        assert.optionalBool(alias.deprecated, aname + '.deprecated');
+
+        return Object.freeze({
+            name: alias.name,
+            deprecated: Boolean(alias.deprecated)
+        });
+    }));
+}
+
+
+/*
+ * Returns the names of the fields that the field depends on (see the
+ * `dependsOn` option in validateParams()).
+ */
+function fieldDependencies(entry, name) {
+    if (!isFieldSpec(entry) || typeof (entry.dependsOn) === 'undefined') {
+        return NONE;
+    }
+
+    assert.arrayOfString(entry.dependsOn, name + '.dependsOn');
+
+    return Object.freeze(entry.dependsOn.slice());
+}
+
+
+/*
+ * Checks that the fields only depend on other fields in the schema, and that
+ * there are no cycles in their dependencies, so that there's an order in
+ * which they can be validated.
+ */
+function checkDependencies(fields) {
+    var byName = {};
+    var done = {};
+
+    fields.forEach(function (f) {
+        byName[f.field] = f;
+    });
+
+    fields.forEach(function (f) {
+        f.dependsOn.forEach(function (dep) {
+            assert.ok(util_common.hasKey(byName, dep),
+                fmt('field "%s" depends on unknown field "%s"', f.field, dep));
+        });
+    });
+
+    /*
+     * A depth-first search, where `path` is the chain of fields that led to
+     * the current one: reaching a field already in it means there's a cycle.
+     */
+    function visit(field, path) {
+        var cycle = path.indexOf(field);
+
+        assert.ok(cycle === -1, 'dependency cycle: ' +
+            path.slice(cycle).concat(field).join(' -> '));
+
+        if (done[field]) {
+            return;
+        }
+
+        byName[field].dependsOn.forEach(function (dep) {
+            visit(dep, path.concat(field));
+        });
+        done[field] = true;
+    }
+
+    fields.forEach(function (f) {
+        visit(f.field, []);
+    });
+}
+
+
+/*
+ * Returns the keys that the field's validation function may set in the
+ * validated object besides the field itself (see the `emits` option in
+ * validateParams()), or null if they haven't been declared.
+ */
+function fieldEmits(entry, name) {
+    if (!isFieldSpec(entry) || typeof (entry.emits) === 'undefined') {
+        return null;
+    }
+
+    assert.arrayOfString(entry.emits, name + '.emits');
+
+    return entry.emits.slice();
+}
+
+
+/*
+ * Returns the field's precedence when it sets the same key in the validated
+ * object as another field (see the `priority` option in validateParams()).
+ */
+function fieldPriority(entry, name) {
+    if (!isFieldSpec(entry)) {
+        return 0;
+    }
+
+    assert.optionalNumber(entry.priority, name + '.priority');
+    return entry.priority || 0;
+}
+
+
+/*
+ * Returns a map of each key that the fields may set in the validated object
+ * (their own names, and the keys that they declare that they emit) to the
+ * names of the fields that may set it, highest priority first. Fields that
+ * may set the same key must have different priorities, so that which value
+ * is used doesn't depend on the order that they finish in.
+ */
+function fieldOutputs(fields) {
+    var outputs = {};
+
+    fields.forEach(function (f) {
+        [ f.field ].concat(f.emits || []).forEach(function (key) {
+            if (!util_common.hasKey(outputs, key)) {
+                outputs[key] = [];
+            }
+
+            if (outputs[key].indexOf(f) === -1) {
+                outputs[key].push(f);
+            }
+        });
+    });
+
+    Object.keys(outputs).forEach(function (key) {
+        var setters = outputs[key].sort(function (a, b) {
+            return b.priority - a.priority;
+        });
+
+        for (var i = 1; i < setters.length; i++) {
+            assert.ok(setters[i].priority !== setters[i - 1].priority,
+                fmt('fields "%s" and "%s" may both set "%s", so must have ' +
+                    'different priorities', setters[i - 1].field,
+                    setters[i].field, key));
+        }
+
+        outputs[key] = Object.freeze(setters.map(function (f) {
+            return f.field;
+        }));
+    });
+
+    return Object.freeze(outputs);
+}
+
+
+/*
+ * Returns true if the entry for a field in opts.required or opts.optional
+ * marks it as sensitive, meaning that its value mustn't be logged.
+ */
+function isSensitive(entry, name) {
+    if (!isFieldSpec(entry)) {
+        return false;
+    }
+
+    assert.optionalBool(entry.sensitive, name + '.sensitive');
+    return Boolean(entry.sensitive);
+}
+
+
+/*
+ * Returns the logger to use for a validation: opts.log if given, or otherwise
+ * `arg.log`, if arg is an object with a (bunyan-compatible) logger as `log`.
+ * Returns null if there's neither.
+ */
+function getLog(schema, arg) {
+    if (schema.log) {
+        return schema.log;
+    }
+
+    if (arg && typeof (arg) === 'object' && arg.log &&
+        typeof (arg.log.debug) === 'function') {
+        return arg.log;
+    }
+
+    return null;
+}
+
+
+/*
+ * Returns a copy of params for logging, with the values of sensitive fields
+ * replaced, including those in nested objects.
+ */
+function redactParams(schema, params) {
+    var redacted = {};
+
+    for (var p in params) {
+        if (util_common.hasKey(schema.sensitive, p)) {
+            redacted[p] = REDACTED;
+        } else if (util_common.hasKey(schema.fns, p)) {
+            redacted[p] = redactValue(schema.fns[p], params[p]);
+        } else {
+            redacted[p] = params[p];
+        }
+    }
+
+    return redacted;
+}
+
+
+/*
+ * Returns a field's value for logging, given its validation function: if it's
+ * a nested object (see validateObject()), an array of them (see
+ * validators.arrayOf()) or a chain including one of those, a copy with the
+ * values of the object's sensitive fields replaced.
+ */
+function redactValue(fn, value) {
+    if (fn.wardenSchema) {
+        return (value && typeof (value) === 'object' &&
+            !Array.isArray(value)) ? redactParams(fn.wardenSchema, value) :
+            value;
+    }
+
+    if (fn.elementValidator) {
+        return Array.isArray(value) ?
+            value.map(redactValue.bind(null, fn.elementValidator)) : value;
+    }
+
+    if (fn.chain) {
+        return fn.chain.reduce(function (v, f) {
+            return redactValue(f, v);
+        }, value);
+    }
+
+    return value;
+}
+
+
+/*
+ * Logs the summary record for a validation that failed with err.
+ */
+function logFailure(log, err, params, durationMs) {
+    if (err instanceof errors.InvalidParamsError) {
+        log.info({
+            errors: err.body.errors,
+            params: params,
+            durationMs: durationMs
+        }, 'parameter validation failed');
+        return;
+    }
+
+    log.error({
+        err: err,
+        params: params,
+        durationMs: durationMs
+    }, 'parameter validation failed with an internal error');
+}
+
+
+/*
+ * Returns the hooks from opts.observer (see validateParams()) as an object
+ * with all of them present, so that callers don't have to check for each.
+ * Returns null if there's no observer.
+ */
+function observerHooks(observer) {
+    var hooks = {};
+
+    if (typeof (observer) === 'undefined') {
+        return null;
+    }
+
+    assert.object(observer, 'opts.observer');
+
+    OBSERVER_HOOKS.forEach(function (hook) {
+        assert.optionalFunc(observer[hook], 'opts.observer.' + hook);
+        hooks[hook] = observer[hook] ? observer[hook].bind(observer) :
+            function () {};
+    });
+
+    return Object.freeze(hooks);
+}
+
+
+/*
+ * Returns the validation function to use for a field, given its entry in
+ * either opts.required or opts.optional.
+ */
+function fieldValidator(entry, name) {
+    if (isFieldSpec(entry)) {
+        return fieldValidator(entry.fn, name + '.fn');
+    }
+
+    if (Array.isArray(entry)) {
+        assert.ok(entry.length > 0, name + ' must not be empty');
+        assert.arrayOfFunc(entry, name);
+        return validateChain(entry);
+    }
+
+    assert.func(entry, name);
+    return entry;
+}
+
+
+
+/*
+ * Exports
+ * =======
+ */
+
+
+/*
+ * Returns the list of unknown parameters in params. `known` is the set of
+ * required and optional fields, as precomputed by compileSchema().
+ */
+function unknownFields(params, known) {
+    var field;
+    var unknowns = [];
+
+    for (field in params) {
+        if (!util_common.hasKey(params, field)) {
+            continue;
+        }
+        if (util_common.hasKey(known, field)) {
+            continue;
+        }
+
+        unknowns.push(field);
+    }
+
+    return unknowns;
+}
+
+
+/*
+ * Returns a map of each unknown field to the known fields that it may be a
+ * typo of (e.g. "ower_uuid" to [ "owner_uuid" ]), leaving out unknown fields
+ * without any close matches. `names` maps each field and alias to its field
+ * (see compileSchema()): a close match for an alias suggests its field
+ * instead, since that's the name to use.
+ */
+function suggestFields(unknowns, names) {
+    var candidates = Object.keys(names);
+    var suggestions = {};
+
+    unknowns.forEach(function (field) {
+        var matches = [];
+
+        util_common.closeMatches(field, candidates).forEach(function (m) {
+            if (matches.indexOf(names[m]) === -1) {
+                matches.push(names[m]);
+            }
+        });
+
+        if (matches.length !== 0) {
+            suggestions[field] = matches;
+        }
+    });
+
+    return suggestions;
+}
+
+
+/*
+ * Returns the list of field groups for one of the group constraint options
+ * (e.g. opts.oneOf), which may be either a single group or an array of groups.
+ */
+function fieldGroups(opts, name) {
+    var groups = opts[name];
+
+    if (typeof (groups) === 'undefined') {
+        return [];
+    }
+
+    assert.array(groups, 'opts.' + name);
+    if (groups.length !== 0 && !Array.isArray(groups[0])) {
+        groups = [ groups ];
+    }
+
+    groups.forEach(function (group, i) {
+        var gname = fmt('opts.%s[%d]', name, i);
+        assert.arrayOfString(group, gname);
+        assert.ok(group.length > 1, gname + ' must have at least 2 fields');
+        group.forEach(assertKnownField.bind(null, opts, gname));
+    });
+
+    return Object.freeze(groups.map(function (group) {
+        return Object.freeze(group.slice());
+    }));
+}
+
+
+/*
+ * Returns the conditions for one of the conditional constraint options
+ * (opts.requiredIf or opts.forbiddenIf), as a list of objects with:
+ * - `field`: The field the condition applies to
+ * - `when`: The fields whose presence triggers the condition, or null
+ * - `predicate`: If `when` is null, a function that returns true if the
+ *   condition is triggered
+ */
+function fieldConditions(opts, name) {
+    var conds = opts[name];
+    var field;
+    var res = [];
+
+    assert.optionalObject(conds, 'opts.' + name);
+
+    for (field in conds) {
+        var cname = fmt('opts.%s[%s]', name, field);
+        var when = conds[field];
+
+        assertKnownField(opts, cname, field);
+
+        if (typeof (when) === 'function') {
+            res.push(Object.freeze({
+                field: field,
+                when: null,
+                predicate: when
+            }));
+            continue;
+        }
+
+        if (typeof (when) === 'string') {
+            when = [ when ];
+        }
+        assert.arrayOfString(when, cname);
+        when.forEach(assertKnownField.bind(null, opts, cname));
+
+        res.push(Object.freeze({
+            field: field,
+            when: Object.freeze(when.slice()),
+            predicate: null
+        }));
+    }
+
+    return Object.freeze(res);
+}
+
+
+function assertKnownField(opts, name, field) {
+    assert.ok((opts.required && util_common.hasKey(opts.required, field)) ||
+        (opts.optional && util_common.hasKey(opts.optional, field)),
+        fmt('%s: unknown field "%s"', name, field));
+}
+
+
+/*
+ * Asserts on and returns the group and conditional constraints in opts.
+ */
+function groupConstraints(opts) {
+    if (CONSTRAINT_OPTS.every(function (name) {
+        return typeof (opts[name]) === 'undefined';
+    })) {
+        return NO_CONSTRAINTS;
+    }
+
+    return Object.freeze({
+        oneOf: fieldGroups(opts, 'oneOf'),
+        anyOf: fieldGroups(opts, 'anyOf'),
+        mutuallyExclusive: fieldGroups(opts, 'mutuallyExclusive'),
+        requiredIf: fieldConditions(opts, 'requiredIf'),
+        forbiddenIf: fieldConditions(opts, 'forbiddenIf')
+    });
+}
+
+
+/*
+ * Check the group and conditional constraints (from groupConstraints()) on
+ * which combinations of fields may be present, returning an array of errors.
+ * `supplied` is the set of fields present in params, either under their own
+ * names or an alias.
+ */
+function validateGroups(constraints, supplied, params, validated) {
+    var errs = [];
+
+    function present(group) {
+        return group.filter(function (field) {
+            return util_common.hasKey(supplied, field);
+        });
+    }
+
+    function triggered(cond) {
+        return cond.when === null ? cond.predicate(validated, params) :
+            present(cond.when).length !== 0;
+    }
+
+    constraints.oneOf.forEach(function (group) {
+        var found = present(group);
+        if (found.length === 0) {
+            errs.push(errors.missingOneOfParams(group,
+                'must specify exactly one of: ' + group.join(', ')));
+        } else if (found.length > 1) {
+            errs.push(errors.conflictingParams(group));
+        }
+    });
+
+    constraints.anyOf.forEach(function (group) {
+        if (present(group).length === 0) {
+            errs.push(errors.missingOneOfParams(group,
+                'must specify at least one of: ' + group.join(', ')));
+        }
+    });
+
+    constraints.mutuallyExclusive.forEach(function (group) {
+        if (present(group).length > 1) {
+            errs.push(errors.conflictingParams(group));
+        }
+    });
+
+    /*
+     * For conditions triggered by other fields, we list both the field and
+     * the fields that triggered the condition in the error.
+     */
+    function involved(cond) {
+        return cond.when === null ? [ cond.field ] :
+            [ cond.field ].concat(present(cond.when));
+    }
+
+    constraints.requiredIf.forEach(function (cond) {
+        if (!util_common.hasKey(supplied, cond.field) && triggered(cond)) {
+            var fields = involved(cond);
+            errs.push(errors.missingOneOfParams(fields, fields.length > 1 ?
+                fmt('%s is required when %s is specified', cond.field,
+                    fields.slice(1).join(', ')) :
+                fmt('%s is required', cond.field)));
+        }
+    });
+
+    constraints.forbiddenIf.forEach(function (cond) {
+        if (util_common.hasKey(supplied, cond.field) && triggered(cond)) {
+            var fields = involved(cond);
+            errs.push(errors.conflictingParams(fields, fields.length > 1 ?
+                fmt('%s must not be specified when %s is specified',
+                    cond.field, fields.slice(1).join(', ')) :
+                fmt('%s must not be specified', cond.field)));
+        }
+    });
+
+    return errs;
+}
+
+
+/*
+ * Validate parameters on an object.
+ *
+ * @param opts {Object}: Options for validating the input object
+ * - `strict` {Boolean}: Fail if there are extra, unknown fields on the object
+ *   (the same as an `unknown` of "reject")
+ * - `unknown` {String}: What to do with unknown fields on the object:
+ *   - "reject": Fail
+ *   - "strip": Leave them out of the validated object (the default)
+ *   - "passthrough": Copy them into the validated object, unvalidated
+ *   - "warn": Leave them out of the validated object, but list them in the
+ *     meta information passed to the callback, and add an "UnknownParameter"
+ *     warning for each (see errors.ignoredParam())
+ * - `required` {Object}: A map of validation functions for each required field
+ * - `optional` {Object}: A map of validation functions for each optional field
+ * - `oneOf` {Array}: A group (array) of fields, or an array of groups, where
+ *   exactly one field in each group must be present
+ * - `anyOf` {Array}: Groups where at least one field must be present
+ * - `mutuallyExclusive` {Array}: Groups where at most one field may be present
+ * - `requiredIf` {Object}: A map of fields to the condition under which they
+ *   are required: either a field name or array of field names (required if any
+ *   of them are present), or a function called with (validated, params) that
+ *   returns true if the field is required
+ * - `forbiddenIf` {Object}: A map of fields to the condition under which they
+ *   must not be present, in the same form as `requiredIf`
+ * - `errorFormat` {String or Function}: The form of the error for invalid
+ *   parameters: "legacy" for an InvalidParamsError (the default), "problem"
+ *   for an RFC 7807 ProblemDetailsError, or a function called with the error
+ *   message and errors array that returns the error (see
+ *   errors.errorFormatter()). Only used for the top-level object, and not for
+ *   nested objects (see validateObject()).
+ * - `observer` {Object}: Hooks called as validation progresses, for
+ *   collecting timing and failure metrics (see metrics.js). Any of:
+ *   - `onFieldStart(field)`: Before a field's validation function is called
+ *   - `onFieldEnd(field, durationMs, err)`: When a field's validation function
+ *     calls back, with the error (or array of errors) or null
+ *   - `onAfter(name, durationMs, err)`: When an "after" function calls back,
+ *     with the function's name (or "after[<index>]" if it has none)
+ *   - `onResult(durationMs, err)`: When validation is complete, with the
+ *     error that validateParams() is calling back with, or null
+ * - `log` {Object}: A bunyan logger, used to log a debug record for each
+ *   field validated (with the time taken), and a record with the errors when
+ *   validation fails. If not given, `arg.log` is used if present.
+ * - `cache` {Boolean}: Pass the validation functions and "after" functions
+ *   that use a context (see withContext()) a RequestCache (see cache.js) as
+ *   `ctx.cache`, which lasts for this validation run only. Lookups made
+ *   through it (e.g. of the same owner by a validator and an "after"
+ *   function) are only made once, as in:
+ *
+ *       validate.withContext(function (ctx, uuid, callback) {
+ *           ctx.cache.get('owner:' + uuid, function (cb) {
+ *               ctx.arg.db.getOwner(uuid, cb);
+ *           }, callback);
+ *       })
+ *
+ *   Nested objects (see validateObject()) and the sources in
+ *   validateSources() share the cache of the run they're part of.
+ * @param arg {Any}: A value to pass as the first argument to each validation
+ *     function. Usually an object containing configuration information or a
+ *     database handle.
+ * @param params {Object}: Object to validate
+ * @param callback {Function}: Callback with (err, validated, meta) where
+ *     validated is an object with only validated fields or fields added by the
+ *     validation functions, and meta is an object with:
+ *     - `defaulted` {Array}: The optional fields set to their default value
+ *     - `unknown` {Array}: The unknown fields, if `unknown` is "warn"
+ *     - `warnings` {Array}: Non-fatal problems with the parameters (e.g. the
+ *       use of deprecated aliases), in the same form as errors
+ *     If not given, a promise is returned instead, which resolves to an object
+ *     with the validated object as `validated` and the meta information as
+ *     `meta` (as validateParamsSync() returns), e.g.:
+ *
+ *         var res = await validate.params(opts, arg, params);
+ *         use(res.validated, res.meta.warnings);
+ *
+ * Each field in `required` or `optional` may map to:
+ * - A validation function
+ * - An array of validation functions, which are run in order (see
+ *   validateChain())
+ * - An object with the validation function (or array) as `fn`, and for
+ *   optional fields:
+ *   - `default` {Any}: The value to use if the field is absent. If a function,
+ *     it is called with `arg` to get the value, and if it throws, validation
+ *     fails with an internal error. Otherwise, each validated object gets its
+ *     own copy of the value's arrays and plain objects.
+ *   - `validateDefault` {Boolean}: Run the default through `fn` as if it had
+ *     been passed in (defaults to false)
+ *   and for either:
+ *   - `sensitive` {Boolean}: Don't log the field's value (e.g. for passwords)
+ *   - `aliases` {Array}: Other names that the field may be passed in as (but
+ *     at most one of them), either as strings or objects with the name as
+ *     `name`. If `deprecated` is true in the object, a warning is added to
+ *     the meta information when that name is used. Errors refer to the name
+ *     used, but the validated value is always under the field's name.
+ *   - `dependsOn` {Array}: Names of other fields that must be validated
+ *     before this one. Their validated values are passed to the validation
+ *     function as `deps` in its context (see withContext()). If any of them
+ *     are invalid (or missing, for required fields), the field isn't
+ *     validated, and a "DependencyFailed" error is returned for it. Cycles
+ *     of dependencies are rejected when the options are compiled.
+ *   - `emits` {Array}: The keys other than the field's own that the
+ *     validation function may set with its "multi" object. Setting any
+ *     other key is an internal error.
+ *   - `priority` {Number}: Which field's value to use when more than one
+ *     field sets the same key (through its "multi" object), with higher
+ *     numbers winning (defaults to 0). Fields that may set the same key,
+ *     as declared with `emits`, must have different priorities. When fields
+ *     with the same priority set the same key anyway, it's an internal
+ *     error, rather than depending on which finished last.
+ *
+ * Validation functions may call back with either a single error or an array
+ * of errors (see validateObject()). They and "after" functions may also
+ * return a promise rather than calling their callback (see
+ * common.callValidationFn()). The value an "after" function's promise
+ * resolves to is ignored.
+ *
+ * Besides the validated value, a validation function may pass an object
+ * ("multi") as the third argument to its callback, whose keys are set in the
+ * validated object too (see `emits` and `priority` above).
+ *
+ * To accept a value but report a problem with it (e.g. that it was clamped to
+ * a maximum), a validation function can pass a warning or array of warnings
+ * (see errors.paramWarning()) as the fourth argument to its callback, after
+ * `multi`. "After" functions pass them as the second argument. Warnings are
+ * collected in `meta.warnings`.
+ *
+ * Validation functions and "after" functions wrapped with withContext() are
+ * passed a context object rather than `arg` and the field name (see
+ * withContext()).
+ */
+
+function validateParams(opts, arg, params, callback) {
+    return runValidator(compileSchema(opts), arg, params, callback);
+}
+
+
+/*
+ * Checks the options for validateParams() and turns them into a frozen schema
+ * object, so that this only needs to be done once rather than every time we
+ * validate a set of parameters.
+ */
+function compileSchema(opts) {
+    var after = [];
+    var aliases;
+    var entry;
+    var field;
+    var fields;
+    var fns = {};
+    var known = {};
+    var name;
+    var names = {};
+    var optional = [];
+    var ordered;
+    var outputs;
+    var required = [];
+    var sensitive = {};
+
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.log, 'opts.log');
+    assert.optionalBool(opts.cache, 'opts.cache');
+    assert.optionalBool(opts.strict, 'opts.strict');
+    assert.optionalString(opts.unknown, 'opts.unknown');
+    assert.optionalObject(opts.required, 'opts.required');
+    assert.optionalObject(opts.optional, 'opts.optional');
+
+    if (typeof (opts.unknown) !== 'undefined') {
+        assert.ok(UNKNOWN_POLICIES.indexOf(opts.unknown) !== -1,
+            'opts.unknown must be one of: ' + UNKNOWN_POLICIES.join(', '));
+        assert.ok(typeof (opts.strict) === 'undefined',
+            'only one of opts.strict and opts.unknown may be specified');
+    }
+
+    for (field in opts.required) {
+        name = 'opts.required[' + field + ']';
+        entry = opts.required[field];
+        assert.ok(!hasDefault(entry), name + ' must not have a default');
+
+        required.push(Object.freeze({
+            field: field,
+            fn: fieldValidator(entry, name),
+            aliases: fieldAliases(entry, name),
+            dependsOn: fieldDependencies(entry, name),
+            emits: fieldEmits(entry, name),
+            priority: fieldPriority(entry, name),
+            sensitive: isSensitive(entry, name)
+        }));
+        known[field] = true;
+    }
+
+    for (field in opts.optional) {
+        name = 'opts.optional[' + field + ']';
+        entry = opts.optional[field];
+
+        if (hasDefault(entry)) {
+            assert.optionalBool(entry.validateDefault,
+                name + '.validateDefault');
+        }
+
+        optional.push(Object.freeze({
+            field: field,
+            fn: fieldValidator(entry, name),
+            hasDefault: hasDefault(entry),
+            default: hasDefault(entry) ? entry.default : undefined,
+            validateDefault: hasDefault(entry) &&
+                Boolean(entry.validateDefault),
+            aliases: fieldAliases(entry, name),
+            dependsOn: fieldDependencies(entry, name),
+            emits: fieldEmits(entry, name),
+            priority: fieldPriority(entry, name),
+            sensitive: isSensitive(entry, name)
+        }));
+        known[field] = true;
+    }
+
+    /*
+     * Most schemas don't use `dependsOn` or `emits`, and checking them is a
+     * good part of the cost of compiling, which validateParams() does for
+     * every call. Without `emits`, each field can only set its own key, so
+     * there's nothing to check, and compileValidator() builds the outputs
+     * itself. Without `dependsOn`, runSchema() can start every field at once,
+     * without tracking which have finished.
+     */
+    fields = required.concat(optional);
+    ordered = fields.some(function (f) { return f.dependsOn.length !== 0; });
+    if (ordered) {
+        checkDependencies(fields);
+    }
+    outputs = fields.some(function (f) { return f.emits !== null; }) ?
+        fieldOutputs(fields) : null;
+
+    /*
+     * Aliases are accepted in place of their fields, so are known fields too,
+     * but mustn't clash with any other field or alias.
+     */
+    aliases = {};
+    fields.forEach(function (f) {
+        f.aliases.forEach(function (alias) {
+            assert.ok(!util_common.hasKey(known, alias.name) &&
+                !util_common.hasKey(aliases, alias.name),
+                fmt('alias "%s" of field "%s" is already a field or alias',
+                    alias.name, f.field));
+            aliases[alias.name] = true;
+        });
+    });
+
+    fields.forEach(function (f) {
+        fns[f.field] = f.fn;
+        names[f.field] = f.field;
+        f.aliases.forEach(function (alias) {
+            fns[alias.name] = f.fn;
+            names[alias.name] = f.field;
+        });
+
+        if (f.sensitive) {
+            sensitive[f.field] = true;
+            f.aliases.forEach(function (alias) {
+                sensitive[alias.name] = true;
+            });
+        }
+    });
+
+    for (field in aliases) {
+        known[field] = true;
+    }
+
+    if (typeof (opts.after) !== 'undefined') {
+        after = Array.isArray(opts.after) ? opts.after.slice() : [ opts.after ];
+        assert.arrayOfFunc(after, 'opts.after');
+    }
+
+    return Object.freeze({
+        unknown: opts.unknown || (opts.strict ? 'reject' : 'strip'),
+        required: Object.freeze(required),
+        optional: Object.freeze(optional),
+        known: Object.freeze(known),
+        constraints: groupConstraints(opts),
+        after: Object.freeze(after),
+        ordered: ordered,
+        outputs: outputs,
+        observer: observerHooks(opts.observer),
+        cache: Boolean(opts.cache),
+        log: opts.log || null,
+        sensitive: Object.freeze(sensitive),
+        fns: Object.freeze(fns),
+        names: Object.freeze(names),
+        format: errors.errorFormatter(opts.errorFormat, 'opts.errorFormat')
+    });
+}
+
+
+/*
+ * Marks a validation function or "after" function as taking a context object
+ * in place of the usual arguments. Validation functions are called with
+ * (ctx, value, callback), and "after" functions with (ctx, callback). The
+ * context has:
+ * - `arg`: The `arg` passed to validateParams()
+ * - `req`: The request being validated, when called from the middleware or
+ *   validateSources() with a request, or else null
+ * - `log`: The bunyan logger for the validation (see `log` above), or null
+ * - `raw`: The parameters of the object being validated, as passed in
+ * - `validated`: The parameters of the object validated so far (for "after"
+ *   functions, all of them)
+ * - `deps`: The validated values of the fields in the field's `dependsOn`
+ *   option, if any
+ * - `name`: The name of the field, for use in errors (null for "after"
+ *   functions)
+ * - `path`: The path of the field from the top-level object, e.g.
+ *   "nic.ips[0]" for an element of an array in a nested object
+ * - `cache`: The RequestCache for the run (see `cache` above), or null
+ *
+ * The stock validators don't use a context, and can be mixed freely with
+ * ones that do, including in chains and arrayOf().
+ *
+ * @param fn {Function}: The function to mark
+ * @return {Function}: fn
+ */
+function withContext(fn) {
+    assert.func(fn, 'fn');
+    fn.contextFn = fn;
+
+    return fn;
+}
+
+
+/*
+ * Validates params against a schema from compileSchema(), calling back with
+ * invalid parameter errors in the schema's error format. Internal callers
+ * that need to merge the errors (e.g. validateSources()) use runSchema(),
+ * which always calls back with an InvalidParamsError.
+ */
+function runFormatted(schema, arg, params, callback) {
+    var log = getLog(schema, arg);
+    var start = log ? process.hrtime() : null;
+
+    runSchema(schema, arg, params, null, function (err, validated, meta) {
+        if (err) {
+            if (log) {
+                logFailure(log, err, redactParams(schema, params),
+                    util_common.elapsedMs(start));
+            }
+
+            callback(errors.formatError(schema.format, err));
+            return;
+        }
+
+        callback(null, validated, meta);
+    });
+}
+
+
+/*
+ * Validates params against a schema as runFormatted() does, but returns a
+ * promise for the result (see validateParams()).
+ */
+function promiseResult(schema, arg, params) {
+    return util_common.toPromise(function (cb) {
+        runFormatted(schema, arg, params, function (err, validated, meta) {
+            cb(err, err ? undefined : { validated: validated, meta: meta });
+        });
+    });
+}
+
+
+/*
+ * Validates params against a schema from compileSchema(), with the same
+ * arguments and results as validateParams(): if there's no callback, a
+ * promise is returned.
+ */
+function runValidator(schema, arg, params, callback) {
+    if (typeof (callback) === 'undefined') {
+        return promiseResult(schema, arg, params);
+    }
+
+    assert.func(callback, 'callback');
+    runFormatted(schema, arg, params, callback);
+    return undefined;
+}
+
+
+/*
+ * Validates params against a schema from compileSchema(), with the same
+ * results as validateParamsSync().
+ */
+function syncResult(schema, arg, params) {
+    var done = false;
+    var error;
+    var result;
+
+    runFormatted(schema, arg, params, function (err, validated, m) {
+        done = true;
+        error = err;
+        result = { validated: validated, meta: m };
+    });
+
+    if (!done) {
+        throw new Error('validateParamsSync: validation functions did not ' +
+            'call back synchronously');
+    }
+
+    if (error) {
+        throw error;
+    }
+
+    return result;
+}
+
+
+/*
+ * Wraps the callback for runSchema() so that the observer's onResult hook is
+ * called with the total time taken and the error (if any) first.
+ */
+function observeResult(observer, callback) {
+    var start = process.hrtime();
+
+    return function (err, validated, meta) {
+        observer.onResult(util_common.elapsedMs(start), err || null);
+        callback(err, validated, meta);
+    };
+}
+
+
+/*
+ * Returns the entry in runSchema()'s list of fields to validate for field `f`
+ * from the schema, supplied as `name` (either the field or an alias) with the
+ * value `val`.
+ */
+function fieldToValidate(f, name, val) {
+    return {
+        field: f.field,
+        name: name,
+        fn: f.fn,
+        dependsOn: f.dependsOn,
+        emits: f.emits,
+        priority: f.priority,
+        val: val
+    };
+}
+
+
+/*
+ * Validates params against a schema from compileSchema(). `parent` is null
+ * for a top-level object, or otherwise has information from the validation
+ * run the object is part of, for the validation functions' contexts:
+ * - `cache`: The run's request cache. If null and the schema has the `cache`
+ *   option set, a new one is created.
+ * - `req`: The request being validated, if any
+ * - `path`: The path of the object within the top-level one
+ */
+function runSchema(schema, arg, params, parent, callback) {
+    var cache = (parent && parent.cache) ||
+        (schema.cache ? new RequestCache() : null);
+    var errs = [];
+    var failed = {};
+    var log = getLog(schema, arg);
+    var prefix = parent && parent.path ? parent.path + '.' : '';
+    var req = parent ? parent.req : null;
+    var meta = { defaulted: [], warnings: [] };
+    var observer = schema.observer;
+    var owners = {};
+    var supplied = {};
+    var toValidate = [];
+    var unfinished = {};
+    var validatedParams = {};
+    var waiting;
+
+    if (observer) {
+        callback = observeResult(observer, callback);
+    }
+
+    if (!params || typeof (params) !== 'object' || Array.isArray(params)) {
+        errs.push(errors.invalidParam('parameters',
+            constants.msg.PARAMETERS_ARE_OBJECTS));
+        errResult(errs, validatedParams, meta, callback);
+        return;
+    }
+
+    /*
+     * Returns true if the field has been supplied (under its own name or an
+     * alias), in which case it's queued for validation.
+     */
+    function addSupplied(f) {
+        var names;
+
+        if (f.aliases.length === 0) {
+            if (!util_common.hasKey(params, f.field)) {
+                return false;
+            }
+
+            supplied[f.field] = true;
+            toValidate.push(fieldToValidate(f, f.field, params[f.field]));
+            return true;
+        }
+
+        names = util_common.hasKey(params, f.field) ? [ f.field ] : [];
+        f.aliases.forEach(function (alias) {
+            if (util_common.hasKey(params, alias.name)) {
+                names.push(alias.name);
+
+                if (alias.deprecated) {
+                    meta.warnings.push(
+                        errors.deprecatedParam(alias.name, f.field));
+                }
+            }
+        });
+
+        if (names.length === 0) {
+            return false;
+        }
+
+        supplied[f.field] = true;
+
+        if (names.length > 1) {
+            failed[f.field] = true;
+            errs.push(errors.conflictingParams(names,
+                fmt('only one of %s may be specified, as they are aliases',
+                    names.join(', '))));
+            return true;
+        }
+
+        /*
+         * The value is validated under the name it was passed in as, so that
+         * any errors refer to that name, but the result goes in the
+         * validated object under the field's name.
+         */
+        toValidate.push(fieldToValidate(f, names[0], params[names[0]]));
+
+        return true;
+    }
+
+    /*
+     * Sets a key in the validated object on behalf of field `f` (a field from
+     * the schema, or an entry in toValidate). When two fields set the same
+     * key, the one with the higher priority wins (compileSchema() makes sure
+     * that any that can clash have different priorities). Since undeclared
+     * keys from a field's "multi" object haven't been checked, they're an
+     * internal error if they clash, as is a field setting a key that it
+     * hasn't declared in `emits`.
+     */
+    function setOutput(f, key, value) {
+        var owner = util_common.hasKey(owners, key) ? owners[key] : null;
+
+        if (key !== f.field && f.emits && f.emits.indexOf(key) === -1) {
+            errs.push(new verror.VError(
+                'validator for field "%s" set undeclared field "%s"',
+                f.field, key));
+            return;
+        }
+
+        if (owner && owner.field !== f.field) {
+            if (owner.priority === f.priority) {
+                errs.push(new verror.VError(
+                    'validators for fields "%s" and "%s" both set "%s"',
+                    owner.field, f.field, key));
+                return;
+            }
+
+            if (owner.priority > f.priority) {
+                return;
+            }
+        }
+
+        owners[key] = f;
+        validatedParams[key] = value;
+    }
+
+    schema.required.forEach(function (f) {
+        if (!addSupplied(f)) {
+            failed[f.field] = true;
+            errs.push(errors.missingParam(f.field));
+        }
+    });
+
+    schema.optional.forEach(function (f) {
+        if (addSupplied(f)) {
+            return;
+        } else if (f.hasDefault) {
+            var defVal;
+
+            /*
+             * Static defaults are copied, so that a validated object (or a
+             * validation function) modifying one doesn't change it for every
+             * later call. A default function throwing is an internal error.
+             */
+            if (typeof (f.default) === 'function') {
+                try {
+                    defVal = f.default(arg);
+                } catch (defErr) {
+                    failed[f.field] = true;
+                    errs.push(new verror.VError({ cause: defErr },
+                        'default for field "%s" threw', f.field));
+                    return;
+                }
+            } else {
+                defVal = util_common.deepCopy(f.default);
+            }
+
+            meta.defaulted.push(f.field);
+
+            if (f.validateDefault) {
+                toValidate.push(fieldToValidate(f, f.field, defVal));
+            } else {
+                setOutput(f, f.field, defVal);
+            }
+        }
+    });
+
+    /*
+     * Validate the fields in parallel, except that fields with dependencies
+     * wait for those to finish first. The stock validators are synchronous,
+     * so we track completion with a simple counter rather than using vasync:
+     * if every validator calls back synchronously, so do we.
+     */
+    var pending = toValidate.length + 1;
+
+    function fieldDone(val, failure) {
+        if (failure) {
+            failed[val.field] = true;
+        }
+
+        if (schema.ordered) {
+            delete unfinished[val.field];
+            startReady();
+        }
+
+        if (--pending === 0) {
+            after();
+        }
+    }
+
+    function isReady(val) {
+        return val.dependsOn.every(function (dep) {
+            return !util_common.hasKey(unfinished, dep);
+        });
+    }
+
+    /*
+     * Starts validating the waiting fields whose dependencies have all
+     * finished. They're removed from `waiting` first, as validating them may
+     * call back into here synchronously.
+     */
+    function startReady() {
+        var ready = waiting.filter(isReady);
+
+        waiting = waiting.filter(function (val) {
+            return !isReady(val);
+        });
+        ready.forEach(validateField);
+    }
+
+    /*
+     * Returns the validated values of the field's dependencies, or null if
+     * any of them failed, in which case the field fails too.
+     */
+    function fieldDeps(val) {
+        var deps = {};
+        var failedDeps = val.dependsOn.filter(function (dep) {
+            return util_common.hasKey(failed, dep);
+        });
+
+        if (failedDeps.length !== 0) {
+            errs.push(errors.dependencyFailed(val.name, failedDeps));
+            return null;
+        }
+
+        val.dependsOn.forEach(function (dep) {
+            if (util_common.hasKey(validatedParams, dep)) {
+                deps[dep] = validatedParams[dep];
+            }
+        });
+
+        return deps;
+    }
+
+    function validateField(val) {
+        var args;
+        var deps;
+        var durationMs;
+        var start;
+
+        if (val.dependsOn.length !== 0) {
+            deps = fieldDeps(val);
+            if (deps === null) {
+                fieldDone(val, true);
+                return;
+            }
+        }
+
+        if (observer) {
+            observer.onFieldStart(val.field);
+        }
+
+        if (observer || log) {
+            start = process.hrtime();
+        }
+
+        /*
+         * This does what util_common.callFieldFn() does, but only builds a
+         * context for functions that use one, since the stock validators
+         * don't.
+         */
+        if (val.fn.contextFn) {
+            args = [ {
+                arg: arg,
+                req: req,
+                log: log,
+                raw: params,
+                validated: validatedParams,
+                deps: deps || {},
+                name: val.name,
+                path: prefix + val.name,
+                cache: cache
+            }, val.val ];
+        } else {
+            args = [ arg, val.name, val.val ];
+        }
+
+        util_common.callValidationFn(val.fn.contextFn || val.fn, args,
+                function (e, validated, multi, warnings) {
+            var warnErr;
+
+            if (start) {
+                durationMs = util_common.elapsedMs(start);
+            }
+
+            if (observer) {
+                observer.onFieldEnd(val.field, durationMs, e || null);
+            }
+
+            if (log) {
+                log.debug({
+                    field: val.name,
+                    value: util_common.hasKey(schema.sensitive, val.name) ?
+                        REDACTED : redactValue(val.fn, val.val),
+                    durationMs: durationMs,
+                    errors: e ? [].concat(e) : undefined
+                }, 'validated parameter');
+            }
+
+            if (Array.isArray(e)) {
+                errs.push.apply(errs, e);
+            } else if (e) {
+                errs.push(e);
+            }
+
+            warnErr = util_common.addWarnings(meta.warnings, warnings);
+            if (warnErr) {
+                errs.push(warnErr);
+            }
+
+            if (typeof (validated) !== 'undefined') {
+                setOutput(val, val.field, validated);
+            }
+            if (typeof (multi) !== 'undefined' &&
+                typeof (multi) === 'object') {
+
+                for (var v in multi) {
+                    setOutput(val, v, multi[v]);
+                }
+            }
+
+            fieldDone(val, Array.isArray(e) ? e.length !== 0 : Boolean(e));
+        });
+    }
+
+    if (schema.ordered) {
+        toValidate.forEach(function (val) {
+            unfinished[val.field] = true;
+        });
+
+        waiting = toValidate;
+        startReady();
+    } else {
+        toValidate.forEach(validateField);
+    }
+
+    if (--pending === 0) {
+        after();
+    }
+
+    function after() {
+        if (schema.constraints !== NO_CONSTRAINTS) {
+            errs.push.apply(errs,
+                validateGroups(schema.constraints, supplied, params,
+                    validatedParams));
+        }
+
+        if (schema.unknown !== 'strip') {
+            handleUnknowns();
+        }
+
+        if (schema.after.length !== 0 && errs.length === 0) {
+            crossValidate(schema, util_common.validationContext({
+                arg: arg,
+                req: req,
+                log: log,
+                raw: params,
+                validated: validatedParams,
+                name: null,
+                path: prefix.slice(0, -1) || null,
+                cache: cache
+            }), errs, meta, callback);
+            return;
+        }
+
+        errResult(errs, validatedParams, meta, callback);
+    }
+
+    function handleUnknowns() {
+        var unknowns = unknownFields(params, schema.known);
+
+        switch (schema.unknown) {
+        case 'reject':
+            if (unknowns.length !== 0) {
+                errs.push(errors.unknownParams(unknowns, undefined,
+                    suggestFields(unknowns, schema.names)));
+            }
+            break;
+        case 'passthrough':
+            unknowns.forEach(function (field) {
+                if (!util_common.hasKey(validatedParams, field)) {
+                    validatedParams[field] = params[field];
+                }
+            });
+            break;
+        default:
+            meta.unknown = unknowns;
+            unknowns.forEach(function (field) {
+                meta.warnings.push(errors.ignoredParam(field));
+            });
+            break;
+        }
+    }
+}
+
+
+/*
+ * Validate parameters on an object synchronously, for use where we can't
+ * call back (e.g. when loading configuration). This takes the same options as
+ * validateParams(), but all of the validation functions (including "after"
+ * functions) must call back synchronously, as the stock validators do.
+ *
+ * Returns an object with the validated parameters as `validated` and the meta
+ * information described in validateParams() as `meta`, or throws the error
+ * that validateParams() would have called back with.
+ *
+ * `opts` may also be a validator returned by compileValidator(), to avoid
+ * checking the options every time (as its `sync` method does).
+ */
+function validateParamsSync(opts, arg, params) {
+    if (typeof (opts) === 'function') {
+        assert.object(opts.wardenSchema, 'opts.wardenSchema');
+        return syncResult(opts.wardenSchema, arg, params);
+    }
+
+    return syncResult(compileSchema(opts), arg, params);
+}
+
+
+/*
+ * Checks the options for validateParams() once, and returns a function
+ * (arg, params, callback) that validates params using them, with the same
+ * arguments and results as validateParams(). This avoids checking the options
+ * for every set of parameters validated, so should be used for options that
+ * are used repeatedly (e.g. for every request to an endpoint).
+ *
+ * The function's `outputs` property maps each key that the validated object
+ * may have (other than unknown fields passed through) to the fields that may
+ * set it, highest priority first. Fields with "multi" objects that don't
+ * declare their keys with `emits` may set others too.
+ *
+ * The function's `sync(arg, params)` method validates params synchronously,
+ * with the same results as validateParamsSync().
+ */
+function compileValidator(opts) {
+    var schema = compileSchema(opts);
+
+    function validator(arg, params, callback) {
+        return runValidator(schema, arg, params, callback);
+    }
+
+    validator.sync = function validateSync(arg, params) {
+        return syncResult(schema, arg, params);
+    };
+    validator.jsonSchema = optionsJSONSchema(opts);
+    validator.outputs = schema.outputs ||
+        fieldOutputs(schema.required.concat(schema.optional));
+    /*
+     * For validateSources(), which needs the errors in their original form
+     * to merge them.
+     */
+    validator.wardenSchema = schema;
+
+    return validator;
+}
+
+
+/*
+ * Returns the `jsonSchema` metadata (see validators.js) for validators that
+ * validate an object using validateParams() options.
+ */
+function optionsJSONSchema(opts) {
+    return function (convert, path) {
+        return convert.options(opts, path);
+    };
+}
+
+/*
+ * Returns a validation function for a field whose value is itself an object,
+ * validated using the same options as validateParams(). Failures within the
+ * object are reported with the path to the offending field, e.g.: a failure
+ * for "ip" in the object in field "nic" will be reported as "nic.ip".
+ */
+function validateObject(opts) {
+    var schema = compileSchema(opts);
+
+    var validator;
+
+    /*
+     * This takes a context, so that nested objects share the request, request
+     * cache and path of the object they're in.
+     */
+    function _validateObject(ctx, obj, callback) {
+        var name = ctx.name;
+
+        if (!obj || typeof (obj) !== 'object' || Array.isArray(obj)) {
+            callback(errors.invalidParam(name, constants.msg.OBJ));
+            return;
+        }
+
+        runSchema(schema, ctx.arg, obj, {
+            cache: ctx.cache,
+            req: ctx.req,
+            path: ctx.path
+        }, function (err, validated, meta) {
+            /*
+             * Errors and warnings are for fields of the object, so we prefix
+             * their fields with the object's name.
+             */
+            if (err && err instanceof errors.InvalidParamsError) {
+                callback(err.body.errors.map(prefixFields.bind(null, name)));
+                return;
+            }
+
+            callback(err, validated, undefined, meta ?
+                meta.warnings.map(prefixFields.bind(null, name)) : undefined);
+        });
+    }
+
+    validator = util_common.classicValidator(_validateObject);
+    validator.jsonSchema = optionsJSONSchema(opts);
+    /*
+     * For redacting the object's sensitive fields in logs (see
+     * redactValue()).
+     */
+    validator.wardenSchema = schema;
+
+    return validator;
+}
+
+/*
+ * Used by validate.params to call an array of 'after' functions, which have
+ * access to all the raw and validated parameters. This is typically used to
+ * validate conditions between parameters, e.g., nicTag/network MTUs.
+ */
+function crossValidate(schema, ctx, errs, meta, callback) {
+    var afterFuncs = schema.after;
+    var validated = ctx.validated;
+    var observer = schema.observer;
+    var i = 0;
+
+    /*
+     * As with the field validators, this loop calls back synchronously if
+     * all of the functions do, and stops at the first error.
+     */
+    function next() {
+        if (i === afterFuncs.length) {
+            errResult(errs, validated, meta, callback);
+            return;
+        }
+
+        var idx = i++;
+        var fn = afterFuncs[idx];
+        var start = observer ? process.hrtime() : null;
+
+        /*
+         * "After" functions that use a context are called with just the
+         * context, which has the raw and validated parameters.
+         */
+        util_common.callAfterFn(fn.contextFn || fn, fn.contextFn ?
+                [ ctx ] : [ ctx.arg, ctx.raw, validated ],
+                function (err, warnings) {
+            if (observer) {
+                observer.onAfter(fn.name || fmt('after[%d]', idx),
+                    util_common.elapsedMs(start), err || null);
+            }
+
+            var warnErr = util_common.addWarnings(meta.warnings, warnings);
+
+            if (warnErr) {
+                errs.push(warnErr);
+            }
+
+            if (err) {
+                if (Array.isArray(err)) {
+                    errs = errs.concat(err);
+                } else {
+                    errs.push(err);
+                }
+
+                errResult(errs, validated, meta, callback);
+                return;
+            }
+
+            next();
+        });
+    }
+
+    next();
+}
+
+
+/*
+ * Validates several sources of parameters at once (for example, the query
+ * string, path parameters and body of a request), each against its own set of
+ * options for validateParams(). The errors from each source are merged into a
+ * single InvalidParamsError (ignoring each source's `errorFormat`: see
+ * errors.formatError() for converting it), with their fields prefixed by the
+ * source they came from (e.g. "body.uuid"), as the middleware does for
+ * warnings.
+ *
+ * @param schemas {Object}: Map of source name to options for validateParams(),
+ *     or to a validator returned by compileValidator()
+ * @param arg {Any}: Passed as the first argument to each validation function
+ * @param sources {Object}: Map of source name to the object to validate
+ * @param opts {Object}: Optional, with:
+ * - `req` {Object}: The request being validated, which is passed to
+ *   validation functions that use a context (see withContext())
+ * @param callback {Function}: Callback with (err, validated, meta) where
+ *     validated and meta map each source name to the validated parameters and
+ *     meta information from validateParams() for that source.
+ */
+function validateSources(schemas, arg, sources, opts, callback) {
+    if (typeof (opts) === 'function') {
+        callback = opts;
+        opts = {};
+    }
+
+    assert.object(schemas, 'schemas');
+    assert.object(sources, 'sources');
+    assert.optionalObject(opts, 'opts');
+    assert.func(callback, 'callback');
+    opts = opts || {};
+
+    var cache = null;
+    var compiled = {};
+    var errs = [];
+    var internalErr = null;
+    var log = getLog({}, arg);
+    var meta = {};
+    var start = process.hrtime();
+    var runners = {};
+    var validated = {};
+
+    Object.keys(schemas).forEach(function (source) {
+        var schema = schemas[source];
+
+        if (typeof (schema) !== 'function') {
+            schema = compileSchema(schema);
+        } else if (schema.wardenSchema) {
+            schema = schema.wardenSchema;
+        } else {
+            runners[source] = schema.bind(null, arg, sources[source]);
+            return;
+        }
+
+        compiled[source] = schema;
+        log = log || schema.log;
+        if (schema.cache) {
+            cache = cache || new RequestCache();
+        }
+    });
+
+    /*
+     * All of the sources share one request cache, if any of them use one.
+     */
+    Object.keys(compiled).forEach(function (source) {
+        runners[source] = runSchema.bind(null, compiled[source], arg,
+            sources[source], { cache: cache, req: opts.req || null, path: '' });
+    });
+
+    /*
+     * Logs the failure with all of the sources' parameters, so that it's
+     * logged once rather than for each source.
+     */
+    function failed(err) {
+        var params = {};
+
+        if (!log) {
+            return;
+        }
+
+        Object.keys(schemas).forEach(function (source) {
+            params[source] = compiled[source] ?
+                redactParams(compiled[source], sources[source]) :
+                sources[source];
+        });
+
+        logFailure(log, err, params, util_common.elapsedMs(start));
+    }
+
+    vasync.forEachParallel({
+        inputs: Object.keys(schemas),
+        func: function _validateSource(source, cb) {
+            runners[source](function (err, res, m) {
+                if (err instanceof errors.InvalidParamsError) {
+                    errs.push.apply(errs, err.body.errors.map(
+                        prefixFields.bind(null, source)));
+                } else if (err) {
+                    internalErr = internalErr || err;
+                } else {
+                    validated[source] = res;
+                    meta[source] = m;
+                }
+
+                cb();
+            });
+        }
+    }, function () {
+        if (internalErr) {
+            failed(internalErr);
+            callback(internalErr);
+            return;
+        }
+
+        errResult(errs, validated, meta, function (err, res, m) {
+            if (err) {
+                failed(err);
+            }
+
+            callback(err, res, m);
+        });
+    });
+}
+
+module.exports = {
+    compile: compileValidator,
+    object: validateObject,
+    params: validateParams,
+    paramsSync: validateParamsSync,
+    prefixFields: prefixFields,
+    sources: validateSources,
+    withContext: withContext
+};
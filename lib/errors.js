@@ -16,8 +16,8 @@
 
 var assert = require('assert-plus');
 var constants = require('./constants');
-var restify = require('restify');
 var util = require('util');
+var WError = require('verror').WError;
 
 
 
@@ -28,6 +28,21 @@ var util = require('util');
 
 
 
+var PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/*
+ * Functions for building the error for invalid parameters in each of the
+ * named formats accepted by errorFormatter().
+ */
+var FORMATS = {
+    legacy: function (message, errors) {
+        return new InvalidParamsError(message, errors);
+    },
+    problem: function (message, errors) {
+        return new ProblemDetailsError(message, errors);
+    }
+};
+
 var MSG = {
     duplicate: 'Already exists',
     internal: 'Internal error',
@@ -44,6 +59,56 @@ var MSG = {
 
 
 
+/*
+ * Base class for errors to be sent as an HTTP response, with the status code
+ * as `statusCode` and the response body as `body`. These have the same fields
+ * as restify's RestError (so restify sends them as it would its own errors),
+ * but don't depend on restify, so that they can be used by any of the
+ * middleware in middleware.js, or outside of a server altogether.
+ */
+function ResponseError(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.restCode, 'opts.restCode');
+    assert.number(opts.statusCode, 'opts.statusCode');
+    assert.string(opts.message, 'opts.message');
+    assert.optionalObject(opts.body, 'opts.body');
+
+    WError.call(this, {
+        cause: opts.cause,
+        constructorOpt: opts.constructorOpt || this.constructor
+    }, '%s', opts.message);
+
+    this.statusCode = opts.statusCode;
+    this.restCode = opts.restCode;
+    this.body = opts.body || {
+        code: opts.restCode,
+        message: opts.message
+    };
+}
+
+util.inherits(ResponseError, WError);
+
+
+/*
+ * An unexpected error (e.g. a validation function calling back with something
+ * other than a parameter error), with the original error as its cause.
+ */
+function InternalError(cause, message) {
+    assert.optionalString(message, 'message');
+
+    ResponseError.call(this, {
+        cause: cause,
+        restCode: 'InternalError',
+        statusCode: 500,
+        message: message || MSG.internal
+    });
+
+    this.name = 'InternalError';
+}
+
+util.inherits(InternalError, ResponseError);
+
+
 /*
  * Base class for invalid / missing parameters
  */
@@ -51,7 +116,7 @@ function InvalidParamsError(message, errors) {
     assert.string(message, 'message');
     assert.arrayOfObject(errors, 'errors');
 
-    restify.RestError.call(this, {
+    ResponseError.call(this, {
         restCode: 'InvalidParameters',
         statusCode: 422,
         message: message,
@@ -65,7 +130,51 @@ function InvalidParamsError(message, errors) {
     this.name = 'InvalidParamsError';
 }
 
-util.inherits(InvalidParamsError, restify.RestError);
+util.inherits(InvalidParamsError, ResponseError);
+
+
+/*
+ * Invalid / missing parameters, as an RFC 7807 "problem details" object. The
+ * elements of the errors array are listed in the "invalid-params" extension
+ * member, with `name` and `reason` for each parameter. Elements for multiple
+ * fields (e.g. from unknownParams()) are listed once per field.
+ */
+function ProblemDetailsError(message, errors) {
+    assert.string(message, 'message');
+    assert.arrayOfObject(errors, 'errors');
+
+    var invalid = [];
+
+    errors.forEach(function (e) {
+        (Array.isArray(e.field) ? e.field : [ e.field ]).forEach(
+                function (field) {
+            invalid.push({
+                name: field,
+                reason: e.message,
+                code: e.code
+            });
+        });
+    });
+
+    ResponseError.call(this, {
+        restCode: 'InvalidParameters',
+        statusCode: 422,
+        message: message,
+        body: {
+            type: 'about:blank',
+            title: 'Unprocessable Entity',
+            status: 422,
+            detail: message,
+            'invalid-params': invalid
+        }
+    });
+
+    this.name = 'ProblemDetailsError';
+    this.contentType = PROBLEM_CONTENT_TYPE;
+    this.errors = errors;
+}
+
+util.inherits(ProblemDetailsError, ResponseError);
 
 
 
@@ -94,16 +203,27 @@ function invalidParam(field, message) {
 }
 
 /*
- * Error response for unknown parameters
+ * Error response for unknown parameters. `suggestions` optionally maps unknown
+ * parameters to the known parameters they may have been typos of.
  */
-function unknownParams(params, message) {
+function unknownParams(params, message, suggestions) {
     var msg;
+    var suggested = false;
 
     assert.arrayOfString(params, 'params');
     assert.optionalString(message, 'message');
+    assert.optionalObject(suggestions, 'suggestions');
 
     msg = message || constants.msg.UNKNOWN_PARAMS;
-    msg += ': ' + params.join(', ');
+    msg += ': ' + params.map(function (p) {
+        if (!suggestions || !suggestions[p] || suggestions[p].length === 0) {
+            return p;
+        }
+
+        suggested = true;
+        return util.format('%s (did you mean %s?)', p,
+            suggestions[p].join(' or '));
+    }).join(', ');
 
     var param = {
         field: params,
@@ -111,6 +231,10 @@ function unknownParams(params, message) {
         message: msg
     };
 
+    if (suggested) {
+        param.suggestions = suggestions;
+    }
+
     return param;
 }
 
@@ -129,11 +253,180 @@ function missingParam(field, message) {
 }
 
 
+/*
+ * Error response for a group of parameters, where at least one must be
+ * present but none were
+ */
+function missingOneOfParams(params, message) {
+    assert.arrayOfString(params, 'params');
+    assert.optionalString(message, 'message');
+
+    return {
+        field: params,
+        code: 'MissingParameter',
+        message: message || 'must specify one of: ' + params.join(', ')
+    };
+}
+
+
+/*
+ * Error response for parameters that can't be specified together
+ */
+function conflictingParams(params, message) {
+    assert.arrayOfString(params, 'params');
+    assert.optionalString(message, 'message');
+
+    return {
+        field: params,
+        code: 'ConflictingParameters',
+        message: message ||
+            'can only specify one of: ' + params.join(', ')
+    };
+}
+
+
+/*
+ * Error response for a parameter that wasn't validated because parameters
+ * that it depends on (see the `dependsOn` option to validateParams()) were
+ * invalid
+ */
+function dependencyFailed(field, deps, message) {
+    assert.string(field, 'field');
+    assert.arrayOfString(deps, 'deps');
+    assert.optionalString(message, 'message');
+
+    return {
+        field: field,
+        code: 'DependencyFailed',
+        message: message ||
+            'not validated, as it depends on invalid parameters: ' +
+            deps.join(', ')
+    };
+}
+
+
+
+/*
+ * Functions for building elements in a response's warnings array: these have
+ * the same form as the elements of the errors array, but don't cause the
+ * request to fail.
+ *
+ * Response-Warnings Functions
+ * ===========================
+ */
+
+
+
+/*
+ * Generic warning about a parameter, for validation functions to call back
+ * with (see validateParams())
+ */
+function paramWarning(field, code, message) {
+    assert.string(field, 'field');
+    assert.string(code, 'code');
+    assert.string(message, 'message');
+
+    return {
+        field: field,
+        code: code,
+        message: message
+    };
+}
+
+
+/*
+ * Warning for a parameter passed in under a deprecated name
+ */
+function deprecatedParam(field, replacement, message) {
+    assert.string(field, 'field');
+    assert.string(replacement, 'replacement');
+    assert.optionalString(message, 'message');
+
+    return paramWarning(field, 'DeprecatedParameter', message ||
+        util.format('deprecated: use %s instead', replacement));
+}
+
+
+/*
+ * Warning for an unknown parameter that was left out of the validated object
+ * (for the "warn" policy for unknown parameters)
+ */
+function ignoredParam(field) {
+    assert.string(field, 'field');
+
+    return paramWarning(field, 'UnknownParameter',
+        'unknown parameter: ignored');
+}
+
+
+
+/*
+ * Error Formats
+ * =============
+ */
+
+
+
+/*
+ * Returns the function for building invalid parameter errors in the given
+ * format, which may be:
+ * - "legacy": An InvalidParamsError (the default)
+ * - "problem": A ProblemDetailsError (RFC 7807)
+ * - A function, called with the error message and the errors array, that
+ *   returns the error
+ */
+function errorFormatter(format, name) {
+    name = name || 'errorFormat';
+
+    if (typeof (format) === 'function') {
+        return format;
+    }
+
+    assert.optionalString(format, name);
+
+    /*
+     * This is checked for every call to validateParams(), so the message is
+     * only built when it's needed.
+     */
+    if (format !== undefined && !FORMATS.hasOwnProperty(format)) {
+        assert.ok(false, util.format('%s must be one of: %s, or a function',
+            name, Object.keys(FORMATS).join(', ')));
+    }
+
+    return FORMATS[format || 'legacy'];
+}
+
+
+/*
+ * Converts err to the format built by `formatter` (from errorFormatter()), if
+ * it's an InvalidParamsError. Any other error is returned unchanged.
+ */
+function formatError(formatter, err) {
+    if (!(err instanceof InvalidParamsError) || formatter === FORMATS.legacy) {
+        return err;
+    }
+
+    return formatter(err.message, err.body.errors);
+}
+
+
 
 module.exports = {
+    conflictingParams: conflictingParams,
+    dependencyFailed: dependencyFailed,
+    deprecatedParam: deprecatedParam,
+    errorFormatter: errorFormatter,
+    formatError: formatError,
+    ignoredParam: ignoredParam,
+    InternalError: InternalError,
     invalidParam: invalidParam,
     InvalidParamsError: InvalidParamsError,
     missingParam: missingParam,
+    missingOneOfParams: missingOneOfParams,
     msg: MSG,
+    paramWarning: paramWarning,
+    PROBLEM_CONTENT_TYPE: PROBLEM_CONTENT_TYPE,
+    ProblemDetailsError: ProblemDetailsError,
+    ResponseError: ResponseError,
     unknownParams: unknownParams
 };
@@ -0,0 +1,793 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018 Joyent, Inc.
+ */
+
+'use strict';
+
+/*
+ * Conversion of validateParams() options to JSON Schema documents, using the
+ * `jsonSchema` metadata on each validation function (see the stock validators
+ * in validators.js), and of JSON Schema documents to validateParams() options.
+ */
+
+var assert = require('assert-plus');
+var constants = require('./constants');
+var engine = require('./engine');
+var errors = require('./errors');
+var fmt = require('util').format;
+var net = require('net');
+var util_common = require('./common');
+var validators = require('./validators');
+
+
+
+/*
+ * Globals
+ * =======
+ */
+
+
+
+var DRAFTS = {
+    '07': 'http://json-schema.org/draft-07/schema#',
+    '2020-12': 'https://json-schema.org/draft/2020-12/schema'
+};
+
+/*
+ * The keywords that fromJSONSchema() supports for each type. Annotations are
+ * allowed everywhere, and `default` is handled by the enclosing object.
+ */
+var ANNOTATIONS = [ '$schema', '$id', '$comment', 'title', 'description',
+    'examples', 'default', 'type', 'enum' ];
+var KEYWORDS = {
+    string: [ 'format', 'minLength', 'maxLength', 'pattern' ],
+    integer: [ 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum' ],
+    number: [ 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum' ],
+    boolean: [],
+    array: [ 'items', 'minItems', 'maxItems', 'uniqueItems' ],
+    object: [ 'properties', 'required', 'additionalProperties',
+        'dependentRequired', 'dependencies' ]
+};
+
+/*
+ * The numeric bound keywords, with a check that a number is within the bound
+ * and the message for one that isn't.
+ */
+var BOUNDS = [
+    {
+        keyword: 'minimum',
+        ok: function (num, bound) { return num >= bound; },
+        message: 'must be greater than or equal to %d'
+    },
+    {
+        keyword: 'exclusiveMinimum',
+        ok: function (num, bound) { return num > bound; },
+        message: 'must be greater than %d'
+    },
+    {
+        keyword: 'maximum',
+        ok: function (num, bound) { return num <= bound; },
+        message: 'must be less than or equal to %d'
+    },
+    {
+        keyword: 'exclusiveMaximum',
+        ok: function (num, bound) { return num < bound; },
+        message: 'must be less than %d'
+    }
+];
+
+
+
+/*
+ * Internal Helpers
+ * ================
+ */
+
+
+
+function clone(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+
+function joinPath(path, field) {
+    return path === '' ? field : path + '.' + field;
+}
+
+
+/*
+ * Group constraint options (e.g. opts.oneOf) may be either a single group of
+ * fields or an array of groups.
+ */
+function fieldGroups(groups) {
+    if (!groups || groups.length === 0) {
+        return [];
+    }
+
+    return Array.isArray(groups[0]) ? groups : [ groups ];
+}
+
+
+function requiredSchema(fields) {
+    return { required: fields };
+}
+
+
+/*
+ * Returns a list of schemas that each require a different pair of fields, for
+ * checking that at most one of them is present.
+ */
+function pairsSchema(fields) {
+    var pairs = [];
+
+    fields.forEach(function (a, i) {
+        fields.slice(i + 1).forEach(function (b) {
+            pairs.push(requiredSchema([ a, b ]));
+        });
+    });
+
+    return pairs;
+}
+
+
+/*
+ * Emits a warning from the conversion as a process warning. Node versions
+ * before 6 don't have process.emitWarning(), and the library doesn't write
+ * to stderr itself, so the warning is dropped: pass `options.warn` to
+ * toJSONSchema() to see it there.
+ */
+function defaultWarn(msg) {
+    if (typeof (process.emitWarning) === 'function') {
+        process.emitWarning(msg);
+    }
+}
+
+
+
+/*
+ * Converter
+ * =========
+ */
+
+
+
+/*
+ * Converts validation functions and validateParams() options to JSON Schema.
+ * An instance of this is passed to `jsonSchema` functions on validators (for
+ * example, for validate.arrayOf()), so that they can convert the validators
+ * and options nested within them.
+ */
+function Converter(draft, warn) {
+    this.draft = draft;
+    this.warn = warn;
+}
+
+
+/*
+ * Returns the schema for a validation function (or array of functions) for
+ * the field at path.
+ */
+Converter.prototype.validator = function validator(fn, path) {
+    var schema;
+
+    if (Array.isArray(fn)) {
+        /*
+         * The first function in a chain with metadata describes the input:
+         * later ones usually do lookups on the value (e.g. [ string, owner ]).
+         */
+        for (var i = 0; i < fn.length; i++) {
+            if (fn[i].jsonSchema) {
+                return this.validator(fn[i], path);
+            }
+        }
+        fn = fn[0];
+    }
+
+    schema = fn.jsonSchema;
+
+    if (typeof (schema) === 'function') {
+        return schema(this, path);
+    }
+
+    if (schema && typeof (schema) === 'object') {
+        return clone(schema);
+    }
+
+    this.warn(fmt('no JSON Schema for validator %s of field "%s": ' +
+        'allowing any value', fn.name ? '"' + fn.name + '"' : '(anonymous)',
+        path));
+
+    return { $comment: 'no schema available for this field' };
+};
+
+
+/*
+ * Returns the schema for a field's entry in opts.required or opts.optional.
+ */
+Converter.prototype.field = function field(entry, path) {
+    var schema;
+
+    if (entry && typeof (entry) === 'object' && !Array.isArray(entry)) {
+        schema = this.validator(entry.fn, path);
+
+        if (util_common.hasKey(entry, 'default') &&
+            typeof (entry.default) !== 'function') {
+            schema.default = entry.default;
+        }
+
+        if (entry.description) {
+            schema.description = entry.description;
+        }
+
+        return schema;
+    }
+
+    return this.validator(entry, path);
+};
+
+
+/*
+ * Returns the schema for an object validated with validateParams() options.
+ */
+Converter.prototype.options = function options(opts, path) {
+    var aliased = [];
+    var field;
+    var required = [];
+    var schema = { type: 'object', properties: {} };
+
+    /*
+     * Aliases are listed as properties with the same schema as their field.
+     * Only one of a field's names may be used, so a required field with
+     * aliases can't go in `required`.
+     */
+    function addAliases(name, entry) {
+        var names = [ name ];
+
+        if (!entry || typeof (entry) !== 'object' || Array.isArray(entry) ||
+            !entry.aliases) {
+            return names;
+        }
+
+        entry.aliases.forEach(function (alias) {
+            var prop = {};
+
+            if (typeof (alias) === 'string') {
+                alias = { name: alias };
+            }
+
+            Object.keys(schema.properties[name]).forEach(function (k) {
+                prop[k] = schema.properties[name][k];
+            });
+            prop.description = fmt('Alias of "%s"', name);
+            if (alias.deprecated) {
+                prop.deprecated = true;
+            }
+
+            schema.properties[alias.name] = prop;
+            names.push(alias.name);
+        });
+
+        return names;
+    }
+
+    for (field in opts.required) {
+        schema.properties[field] = this.field(opts.required[field],
+            joinPath(path, field));
+        aliased.push({
+            names: addAliases(field, opts.required[field]),
+            required: true
+        });
+    }
+
+    for (field in opts.optional) {
+        schema.properties[field] = this.field(opts.optional[field],
+            joinPath(path, field));
+        aliased.push({
+            names: addAliases(field, opts.optional[field]),
+            required: false
+        });
+    }
+
+    aliased.forEach(function (a) {
+        var alternatives = a.names.map(function (n) {
+            return requiredSchema([ n ]);
+        });
+
+        if (a.names.length === 1) {
+            if (a.required) {
+                required.push(a.names[0]);
+            }
+            return;
+        }
+
+        schema.allOf = (schema.allOf || []).concat([ a.required ?
+            { oneOf: alternatives } :
+            { not: { anyOf: pairsSchema(a.names) } } ]);
+    });
+
+    if (required.length !== 0) {
+        schema.required = required;
+    }
+
+    if (opts.strict || opts.unknown === 'reject') {
+        schema.additionalProperties = false;
+    }
+
+    this.constraints(opts, schema, path);
+
+    return schema;
+};
+
+
+/*
+ * Adds the group and conditional constraints in opts (e.g. opts.oneOf) to
+ * schema. Conditions that are functions can't be expressed, so are skipped
+ * with a warning.
+ */
+Converter.prototype.constraints = function constraints(opts, schema, path) {
+    var self = this;
+    var allOf = [];
+    var depKey = this.draft === '07' ? 'dependencies' : 'dependentRequired';
+
+    fieldGroups(opts.oneOf).forEach(function (group) {
+        allOf.push({ oneOf: group.map(function (f) {
+            return requiredSchema([ f ]);
+        }) });
+    });
+
+    fieldGroups(opts.anyOf).forEach(function (group) {
+        allOf.push({ anyOf: group.map(function (f) {
+            return requiredSchema([ f ]);
+        }) });
+    });
+
+    fieldGroups(opts.mutuallyExclusive).forEach(function (group) {
+        allOf.push({ not: { anyOf: pairsSchema(group) } });
+    });
+
+    function triggers(name, f) {
+        var when = opts[name][f];
+
+        if (typeof (when) === 'function') {
+            self.warn(fmt('%s condition for field "%s" is a function: ' +
+                'omitting it', name, joinPath(path, f)));
+            return [];
+        }
+
+        return typeof (when) === 'string' ? [ when ] : when;
+    }
+
+    Object.keys(opts.requiredIf || {}).forEach(function (field) {
+        triggers('requiredIf', field).forEach(function (t) {
+            schema[depKey] = schema[depKey] || {};
+            schema[depKey][t] = (schema[depKey][t] || []).concat(field);
+        });
+    });
+
+    Object.keys(opts.forbiddenIf || {}).forEach(function (field) {
+        triggers('forbiddenIf', field).forEach(function (t) {
+            allOf.push({ not: requiredSchema([ field, t ]) });
+        });
+    });
+
+    if (allOf.length !== 0) {
+        schema.allOf = (schema.allOf || []).concat(allOf);
+    }
+};
+
+
+
+/*
+ * Validators for fromJSONSchema()
+ * ===============================
+ *
+ * Validators for the parts of JSON Schema that don't map onto the stock
+ * validators. Each carries its schema as `jsonSchema` metadata, so that
+ * converting back with toJSONSchema() gives the original schema.
+ */
+
+
+
+function copyKeywords(schema, keywords) {
+    var res = {};
+
+    keywords.forEach(function (k) {
+        if (util_common.hasKey(schema, k)) {
+            res[k] = schema[k];
+        }
+    });
+
+    return res;
+}
+
+
+function ipValidator(version) {
+    function _validateIPVersion(_, name, addr, callback) {
+        if (typeof (addr) !== 'string' || net.isIP(addr) !== version) {
+            callback(errors.invalidParam(name,
+                fmt('invalid IPv%d address', version)));
+            return;
+        }
+
+        callback(null, addr);
+    }
+
+    _validateIPVersion.jsonSchema = {
+        type: 'string',
+        format: 'ipv' + version
+    };
+
+    return _validateIPVersion;
+}
+
+
+function stringValidator(schema, path) {
+    var re = null;
+
+    if (schema.pattern !== undefined) {
+        if (typeof (schema.pattern) !== 'string') {
+            throw schemaError(path, '"pattern" must be a string');
+        }
+
+        try {
+            re = new RegExp(schema.pattern);
+        } catch (reErr) {
+            throw schemaError(path, fmt('invalid "pattern": %s',
+                reErr.message));
+        }
+    }
+
+    function _validateJSONString(_, name, str, callback) {
+        if (typeof (str) !== 'string') {
+            callback(errors.invalidParam(name, constants.msg.STR));
+            return;
+        }
+
+        if (schema.minLength !== undefined && str.length < schema.minLength) {
+            callback(errors.invalidParam(name,
+                fmt('must be at least %d characters', schema.minLength)));
+            return;
+        }
+
+        if (schema.maxLength !== undefined && str.length > schema.maxLength) {
+            callback(errors.invalidParam(name,
+                fmt('must not be longer than %d characters',
+                    schema.maxLength)));
+            return;
+        }
+
+        if (re !== null && !re.test(str)) {
+            callback(errors.invalidParam(name,
+                fmt('must match pattern %s', schema.pattern)));
+            return;
+        }
+
+        callback(null, str);
+    }
+
+    _validateJSONString.jsonSchema = copyKeywords(schema,
+        [ 'type' ].concat(KEYWORDS.string));
+
+    return _validateJSONString;
+}
+
+
+/*
+ * Validates integers and numbers. As with the "limit" and "offset" stock
+ * validators, numeric strings (e.g. from a query string) are accepted, and
+ * converted to numbers.
+ */
+function numberValidator(schema) {
+    var integer = schema.type === 'integer';
+    /*
+     * Each bound is checked on its own, so that when a schema has both an
+     * inclusive and an exclusive one on the same side, we report the one the
+     * value is actually outside of.
+     */
+    var bounds = BOUNDS.filter(function (b) {
+        return schema[b.keyword] !== undefined;
+    });
+
+    function _validateJSONNumber(_, name, val, callback) {
+        var num = val;
+
+        if (typeof (val) === 'string' && val !== '' && val.trim() === val) {
+            num = Number(val);
+        }
+
+        if (typeof (num) !== 'number' || !isFinite(num) ||
+            (integer && Math.floor(num) !== num)) {
+            callback(errors.invalidParam(name,
+                integer ? constants.msg.INT : constants.msg.NUM));
+            return;
+        }
+
+        for (var i = 0; i < bounds.length; i++) {
+            if (!bounds[i].ok(num, schema[bounds[i].keyword])) {
+                callback(errors.invalidParam(name,
+                    fmt(bounds[i].message, schema[bounds[i].keyword])));
+                return;
+            }
+        }
+
+        callback(null, num);
+    }
+
+    _validateJSONNumber.jsonSchema = copyKeywords(schema,
+        [ 'type' ].concat(KEYWORDS.number));
+
+    return _validateJSONNumber;
+}
+
+
+
+/*
+ * Building Options
+ * ================
+ */
+
+
+
+function schemaError(path, msg) {
+    return new Error(fmt('JSON Schema at "%s": %s', path || '/', msg));
+}
+
+
+/*
+ * Returns the error for a schema whose type we don't support. A schema
+ * without a type may be using keywords we don't support in its place (e.g.
+ * "$ref" or "oneOf"), in which case the error names the keyword.
+ */
+function typeError(schema, path, msg) {
+    if (schema.type === undefined) {
+        checkKeywords(schema, path);
+    }
+
+    return schemaError(path, msg);
+}
+
+
+/*
+ * Throws if schema has any keywords we don't support for its type.
+ */
+function checkKeywords(schema, path) {
+    var allowed = ANNOTATIONS.concat(KEYWORDS[schema.type] || []);
+
+    Object.keys(schema).forEach(function (k) {
+        if (allowed.indexOf(k) === -1) {
+            throw schemaError(path, fmt('unsupported keyword "%s"%s', k,
+                schema.type ? ' for type "' + schema.type + '"' : ''));
+        }
+    });
+}
+
+
+/*
+ * Returns the validation function for the value described by schema.
+ */
+function schemaValidator(schema, path) {
+    if (!schema || typeof (schema) !== 'object' || Array.isArray(schema)) {
+        throw schemaError(path, 'schema must be an object');
+    }
+
+    if (util_common.hasKey(schema, 'enum')) {
+        if (!Array.isArray(schema.enum)) {
+            throw schemaError(path, '"enum" must be an array');
+        }
+        checkKeywords(schema, path);
+        return validators.enum(schema.enum);
+    }
+
+    if (typeof (schema.type) !== 'string' ||
+        !util_common.hasKey(KEYWORDS, schema.type)) {
+        throw typeError(schema, path, schema.type === undefined ?
+            '"type" or "enum" is required' :
+            fmt('unsupported type %s', JSON.stringify(schema.type)));
+    }
+
+    checkKeywords(schema, path);
+
+    switch (schema.type) {
+    case 'string':
+        return stringSchemaValidator(schema, path);
+    case 'integer':
+    case 'number':
+        return numberValidator(schema);
+    case 'boolean':
+        return validators.boolean;
+    case 'array':
+        return validators.arrayOf(
+            schemaValidator(schema.items, path + '/items'), {
+                minItems: schema.minItems,
+                maxItems: schema.maxItems,
+                unique: schema.uniqueItems
+            });
+    default:
+        return engine.object(schemaOptions(schema, path));
+    }
+}
+
+
+function stringSchemaValidator(schema, path) {
+    if (!util_common.hasKey(schema, 'format')) {
+        return stringValidator(schema, path);
+    }
+
+    if (schema.minLength !== undefined || schema.maxLength !== undefined ||
+        schema.pattern !== undefined) {
+        throw schemaError(path,
+            '"format" can\'t be combined with other string keywords');
+    }
+
+    switch (schema.format) {
+    case 'uuid':
+        return validators.uuid;
+    case 'ipv4':
+        return ipValidator(4);
+    case 'ipv6':
+        return ipValidator(6);
+    default:
+        throw schemaError(path, fmt('unsupported format "%s"',
+            schema.format));
+    }
+}
+
+
+/*
+ * Returns the validateParams() options for an object schema.
+ */
+function schemaOptions(schema, path) {
+    var opts = { strict: false, required: {}, optional: {} };
+    var props = schema.properties || {};
+    var required = schema.required || [];
+
+    if (schema.type !== 'object') {
+        throw typeError(schema, path, 'type must be "object"');
+    }
+
+    checkKeywords(schema, path);
+
+    if (!props || typeof (props) !== 'object' || Array.isArray(props)) {
+        throw schemaError(path, '"properties" must be an object');
+    }
+
+    if (!Array.isArray(required) ||
+        !required.every(function (f) { return typeof (f) === 'string'; })) {
+        throw schemaError(path,
+            '"required" must be an array of property names');
+    }
+
+    if (util_common.hasKey(schema, 'additionalProperties')) {
+        if (typeof (schema.additionalProperties) !== 'boolean') {
+            throw schemaError(path,
+                '"additionalProperties" must be a boolean');
+        }
+        opts.strict = !schema.additionalProperties;
+    }
+
+    required.forEach(function (field) {
+        if (!util_common.hasKey(props, field)) {
+            throw schemaError(path, fmt('required property "%s" is not ' +
+                'in "properties"', field));
+        }
+    });
+
+    Object.keys(props).forEach(function (field) {
+        var ppath = path + '/properties/' + field;
+        var fn = schemaValidator(props[field], ppath);
+
+        if (required.indexOf(field) !== -1) {
+            opts.required[field] = fn;
+        } else if (util_common.hasKey(props[field], 'default')) {
+            opts.optional[field] = { fn: fn, default: props[field].default };
+        } else {
+            opts.optional[field] = fn;
+        }
+    });
+
+    /*
+     * `dependentRequired` (or `dependencies` before 2019-09) maps a field to
+     * the fields required when it's present: the reverse of requiredIf.
+     */
+    [ 'dependentRequired', 'dependencies' ].forEach(function (k) {
+        Object.keys(schema[k] || {}).forEach(function (trigger) {
+            var deps = schema[k][trigger];
+
+            if (!Array.isArray(deps)) {
+                throw schemaError(path, fmt('only arrays of property ' +
+                    'names are supported in "%s"', k));
+            }
+
+            deps.forEach(function (field) {
+                if (!util_common.hasKey(props, field) ||
+                    !util_common.hasKey(props, trigger)) {
+                    throw schemaError(path, fmt('"%s" refers to unknown ' +
+                        'properties', k));
+                }
+
+                opts.requiredIf = opts.requiredIf || {};
+                opts.requiredIf[field] =
+                    (opts.requiredIf[field] || []).concat(trigger);
+            });
+        });
+    });
+
+    return opts;
+}
+
+
+
+/*
+ * Exports
+ * =======
+ */
+
+
+
+/*
+ * Returns a JSON Schema document describing the objects accepted by
+ * validateParams() with the given options.
+ *
+ * @param opts {Object}: Options for validateParams(), or a validator returned
+ *     by validate.compile()
+ * @param options {Object}: Optional:
+ * - `draft` {String}: The JSON Schema draft to produce: "07" or "2020-12"
+ *   (the default)
+ * - `warn` {Function}: Called with a message for each part of opts that
+ *   can't be described (e.g. validation functions without metadata). By
+ *   default, these are emitted as process warnings, where node supports them.
+ */
+function toJSONSchema(opts, options) {
+    var conv;
+    var doc;
+    var schema;
+
+    assert.ok(opts && (typeof (opts) === 'object' ||
+        typeof (opts) === 'function'), 'opts must be an object or function');
+    assert.optionalObject(options, 'options');
+    options = options || {};
+    assert.optionalString(options.draft, 'options.draft');
+    assert.optionalFunc(options.warn, 'options.warn');
+
+    var draft = options.draft || '2020-12';
+    assert.ok(util_common.hasKey(DRAFTS, draft),
+        'options.draft must be one of: ' + Object.keys(DRAFTS).join(', '));
+
+    conv = new Converter(draft, options.warn || defaultWarn);
+    schema = typeof (opts) === 'function' ? conv.validator(opts, '') :
+        conv.options(opts, '');
+
+    doc = { $schema: DRAFTS[draft] };
+    for (var k in schema) {
+        doc[k] = schema[k];
+    }
+
+    return doc;
+}
+
+
+/*
+ * Returns options for validateParams() that validate objects described by a
+ * JSON Schema document, using the stock validators where possible. Throws an
+ * error for keywords (or formats, etc.) that aren't supported, rather than
+ * ignoring them.
+ *
+ * @param doc {Object}: A JSON Schema document of type "object"
+ */
+function fromJSONSchema(doc) {
+    assert.object(doc, 'doc');
+
+    return schemaOptions(doc, '');
+}
+
+
+module.exports = {
+    fromJSONSchema: fromJSONSchema,
+    toJSONSchema: toJSONSchema
+};
@@ -0,0 +1,270 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018 Joyent, Inc.
+ */
+
+'use strict';
+
+/*
+ * A collector of validation metrics, for use as the `observer` option to
+ * validateParams(): it counts validations and failures (by error code) and
+ * keeps latency histograms for each field, each "after" function and the
+ * validation as a whole.
+ */
+
+var assert = require('assert-plus');
+var errors = require('./errors');
+
+
+
+/*
+ * Globals
+ * =======
+ */
+
+
+
+/*
+ * Upper bounds of the latency histogram buckets, in milliseconds
+ */
+var DEFAULT_BUCKETS = [ 1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000 ];
+
+
+
+/*
+ * Internal Helpers
+ * ================
+ */
+
+
+
+/*
+ * Returns the error codes for an error passed to one of the observer hooks:
+ * either a parameter error (from errors.invalidParam() etc.), an array of
+ * them, an InvalidParamsError, or an unexpected error (counted as
+ * "InternalError").
+ */
+function errorCodes(err) {
+    if (err instanceof errors.InvalidParamsError) {
+        return errorCodes(err.body.errors);
+    }
+
+    if (Array.isArray(err)) {
+        return err.reduce(function (codes, e) {
+            return codes.concat(errorCodes(e));
+        }, []);
+    }
+
+    if (err.hasOwnProperty('field') && typeof (err.code) === 'string') {
+        return [ err.code ];
+    }
+
+    return [ 'InternalError' ];
+}
+
+
+/*
+ * A cumulative latency histogram, in the style of Prometheus: each bucket
+ * counts the observations less than or equal to its upper bound.
+ */
+function Histogram(buckets) {
+    this.buckets = buckets;
+    this.counts = buckets.map(function () {
+        return 0;
+    });
+    this.count = 0;
+    this.sum = 0;
+}
+
+
+Histogram.prototype.observe = function observe(ms) {
+    var i;
+
+    this.count++;
+    this.sum += ms;
+
+    for (i = 0; i < this.buckets.length; i++) {
+        if (ms <= this.buckets[i]) {
+            this.counts[i]++;
+        }
+    }
+};
+
+
+Histogram.prototype.toJSON = function toJSON() {
+    var buckets = {};
+    var self = this;
+
+    this.buckets.forEach(function (bound, i) {
+        buckets[String(bound)] = self.counts[i];
+    });
+    buckets['+Inf'] = this.count;
+
+    return {
+        buckets: buckets,
+        count: this.count,
+        sum: this.sum
+    };
+};
+
+
+/*
+ * The metrics for one field, "after" function or the validation as a whole
+ */
+function Stat(buckets) {
+    this.count = 0;
+    this.failures = 0;
+    this.codes = {};
+    this.latency = new Histogram(buckets);
+}
+
+
+Stat.prototype.record = function record(ms, err) {
+    var self = this;
+
+    this.count++;
+    this.latency.observe(ms);
+
+    if (err) {
+        this.failures++;
+        errorCodes(err).forEach(function (code) {
+            self.codes[code] = (self.codes[code] || 0) + 1;
+        });
+    }
+};
+
+
+Stat.prototype.toJSON = function toJSON() {
+    var codes = {};
+
+    for (var code in this.codes) {
+        codes[code] = this.codes[code];
+    }
+
+    return {
+        count: this.count,
+        failures: this.failures,
+        codes: codes,
+        latency: this.latency.toJSON()
+    };
+};
+
+
+
+/*
+ * Exports
+ * =======
+ */
+
+
+
+/*
+ * Creates a collector, which has the observer hooks described in
+ * validateParams(). The same collector can be used for any number of
+ * validators (e.g. all of the routes in a server), in which case fields with
+ * the same name are counted together.
+ *
+ * @param opts {Object}: Optional, with:
+ * - `buckets` {Array}: Upper bounds of the latency histogram buckets, in
+ *   milliseconds, in increasing order (defaults to DEFAULT_BUCKETS)
+ */
+function MetricsCollector(opts) {
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalArrayOfNumber(opts.buckets, 'opts.buckets');
+
+    this.buckets = (opts.buckets || DEFAULT_BUCKETS).slice();
+    this.reset();
+}
+
+
+/*
+ * Discards all of the metrics collected so far, e.g. after exporting them.
+ */
+MetricsCollector.prototype.reset = function reset() {
+    this.fields = {};
+    this.after = {};
+    this.inFlight = {};
+    this.results = new Stat(this.buckets);
+};
+
+
+MetricsCollector.prototype.onFieldStart = function onFieldStart(field) {
+    this.inFlight[field] = (this.inFlight[field] || 0) + 1;
+};
+
+
+MetricsCollector.prototype.onFieldEnd = function onFieldEnd(field, ms, err) {
+    if (this.inFlight[field]) {
+        this.inFlight[field]--;
+    }
+
+    if (!this.fields.hasOwnProperty(field)) {
+        this.fields[field] = new Stat(this.buckets);
+    }
+
+    this.fields[field].record(ms, err);
+};
+
+
+MetricsCollector.prototype.onAfter = function onAfter(name, ms, err) {
+    if (!this.after.hasOwnProperty(name)) {
+        this.after[name] = new Stat(this.buckets);
+    }
+
+    this.after[name].record(ms, err);
+};
+
+
+MetricsCollector.prototype.onResult = function onResult(ms, err) {
+    this.results.record(ms, err);
+};
+
+
+/*
+ * Returns the metrics collected so far as a plain object, with:
+ * - `fields`: A map of field names to their metrics
+ * - `after`: A map of "after" function names to their metrics
+ * - `results`: The metrics for validation as a whole
+ * - `inFlight`: A map of field names to the number of validations of that
+ *   field in progress
+ *
+ * Each set of metrics has the number of validations as `count`, the number
+ * that failed as `failures`, a map of error codes to the number of times each
+ * was seen as `codes`, and the latency histogram as `latency`, with
+ * `buckets` (a map of each bucket's upper bound to its cumulative count),
+ * `count` and `sum` (in milliseconds).
+ */
+MetricsCollector.prototype.snapshot = function snapshot() {
+    var self = this;
+    var snap = {
+        fields: {},
+        after: {},
+        results: this.results.toJSON(),
+        inFlight: {}
+    };
+
+    [ 'fields', 'after' ].forEach(function (kind) {
+        Object.keys(self[kind]).forEach(function (name) {
+            snap[kind][name] = self[kind][name].toJSON();
+        });
+    });
+
+    Object.keys(this.inFlight).forEach(function (field) {
+        snap.inFlight[field] = self.inFlight[field];
+    });
+
+    return snap;
+};
+
+
+
+module.exports = {
+    DEFAULT_BUCKETS: DEFAULT_BUCKETS,
+    MetricsCollector: MetricsCollector
+};
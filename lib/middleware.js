@@ -0,0 +1,617 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018 Joyent, Inc.
+ */
+
+'use strict';
+
+/* global Promise: false */
+
+/*
+ * Middleware for validating the parameters of a request, for restify,
+ * Express, Koa and node's http module.
+ */
+
+var assert = require('assert-plus');
+var engine = require('./engine');
+var errors = require('./errors');
+var fmt = require('util').format;
+var querystring = require('querystring');
+
+
+
+/*
+ * Globals
+ * =======
+ */
+
+
+
+var SOURCES = [ 'query', 'params', 'body', 'headers' ];
+// The default limit on the size of a request body read by the middleware
+var MAX_BODY_SIZE = 1024 * 1024;
+
+
+
+/*
+ * Internal Helpers
+ * ================
+ */
+
+
+
+/*
+ * Asserts on the options passed to one of the middleware factories, and
+ * returns the map of sources to validate to their compiled validators.
+ */
+function getSchemas(opts) {
+    var schemas = {};
+
+    assert.object(opts, 'opts');
+
+    SOURCES.forEach(function (source) {
+        assert.optionalObject(opts[source], 'opts.' + source);
+        if (opts[source]) {
+            schemas[source] = engine.compile(opts[source]);
+        }
+    });
+
+    return schemas;
+}
+
+
+/*
+ * Returns the value to pass as the first argument to validation functions:
+ * `opts.arg` may be a function, in which case it is called with the request.
+ */
+function getArg(opts, req) {
+    if (typeof (opts.arg) === 'function') {
+        return opts.arg(req);
+    }
+
+    return opts.arg;
+}
+
+
+/*
+ * Restify only parses the query string into an object if the queryParser
+ * plugin is in use, otherwise req.query is a function returning the string.
+ */
+function getQuery(req) {
+    if (typeof (req.query) === 'function') {
+        return querystring.parse(req.getQuery());
+    }
+
+    return req.query || {};
+}
+
+
+/*
+ * Returns the parsed query string of a request that hasn't been through any
+ * framework's query parsing.
+ */
+function parseQuery(req) {
+    var idx = req.url.indexOf('?');
+
+    return idx === -1 ? {} : querystring.parse(req.url.slice(idx + 1));
+}
+
+
+/*
+ * Returns true if the request (an http.IncomingMessage) has a body, in the
+ * same way as the type-is module: a body is sent with either a
+ * Transfer-Encoding header or a non-zero Content-Length.
+ */
+function hasBody(req) {
+    return req.headers['transfer-encoding'] !== undefined ||
+        (!isNaN(req.headers['content-length']) &&
+        Number(req.headers['content-length']) !== 0);
+}
+
+
+/*
+ * Returns true if the request's Content-Type is JSON: either
+ * "application/json" or a structured syntax suffix like
+ * "application/merge-patch+json".
+ */
+function isJSON(req) {
+    var type = (req.headers['content-type'] || '').split(';')[0].trim()
+        .toLowerCase();
+
+    return type === 'application/json' ||
+        /^application\/[^\/]+\+json$/.test(type);
+}
+
+
+/*
+ * Calls back with the body of a request: either `parsed`, if a body parser
+ * has already parsed it, or read from the request (an http.IncomingMessage)
+ * and parsed as JSON, in which case it's also set as `req.body`. If there are
+ * no options for validating the body (`schema`), it's left unread.
+ *
+ * Only JSON bodies are read: any other body is refused with a 415, and one
+ * of more than `maxBodySize` bytes with a 413. In both cases, the rest of the
+ * body is discarded so that the error response can be sent.
+ */
+function readBody(req, parsed, schema, maxBodySize, callback) {
+    var chunks = [];
+    var done = false;
+    var size = 0;
+
+    function finish(err, body) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        if (err) {
+            req.resume();
+        } else {
+            req.body = body;
+        }
+
+        callback(err, body);
+    }
+
+    function tooLarge() {
+        finish(new errors.ResponseError({
+            restCode: 'RequestEntityTooLarge',
+            statusCode: 413,
+            message: fmt('Request body exceeds %d bytes', maxBodySize)
+        }));
+    }
+
+    if (typeof (parsed) !== 'undefined' || !schema) {
+        callback(null, parsed || {});
+        return;
+    }
+
+    if (!hasBody(req)) {
+        finish(null, {});
+        return;
+    }
+
+    if (!isJSON(req)) {
+        finish(new errors.ResponseError({
+            restCode: 'UnsupportedMediaType',
+            statusCode: 415,
+            message: 'Request body must be application/json'
+        }));
+        return;
+    }
+
+    if (Number(req.headers['content-length']) > maxBodySize) {
+        tooLarge();
+        return;
+    }
+
+    req.on('data', function (chunk) {
+        if (done) {
+            return;
+        }
+
+        size += chunk.length;
+        if (size > maxBodySize) {
+            tooLarge();
+            return;
+        }
+
+        chunks.push(chunk);
+    });
+
+    req.on('error', finish);
+
+    req.on('end', function () {
+        var body = Buffer.concat(chunks).toString('utf8');
+
+        if (body.length === 0) {
+            finish(null, {});
+            return;
+        }
+
+        try {
+            body = JSON.parse(body);
+        } catch (parseErr) {
+            finish(new errors.ResponseError({
+                cause: parseErr,
+                restCode: 'InvalidContent',
+                statusCode: 400,
+                message: 'Invalid JSON in request body'
+            }));
+            return;
+        }
+
+        finish(null, body);
+    });
+}
+
+
+/*
+ * Sends err as the response to a plain http request, in the same way that
+ * restify would.
+ */
+function sendError(res, err) {
+    var body = err.body || {
+        code: 'InternalError',
+        message: errors.msg.internal
+    };
+
+    res.statusCode = err.statusCode || 500;
+    res.setHeader('Content-Type', err.contentType || 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+
+/*
+ * Returns a function for validating the sources of a request against the
+ * options for each source in `opts`, which is shared between the middleware
+ * for each framework. The function is called with the request (or Koa
+ * context), the sources to validate and a callback. It calls back with either
+ * the error in the error format from `opts`, or the validated parameters and
+ * warnings.
+ */
+function requestValidator(opts) {
+    var schemas = getSchemas(opts);
+
+    assert.optionalNumber(opts.maxBodySize, 'opts.maxBodySize');
+    var format = errors.errorFormatter(opts.errorFormat, 'opts.errorFormat');
+
+    function validateSources(req, sources, callback) {
+        engine.sources(schemas, getArg(opts, req), sources, { req: req },
+                function (err, validated, meta) {
+            if (err) {
+                callback(errors.formatError(format, err));
+                return;
+            }
+
+            callback(null, validated, getWarnings(meta));
+        });
+    }
+
+    validateSources.schemas = schemas;
+    validateSources.errorFormat = opts.errorFormat || 'legacy';
+    validateSources.maxBodySize = opts.maxBodySize === undefined ?
+        MAX_BODY_SIZE : opts.maxBodySize;
+
+    return validateSources;
+}
+
+
+/*
+ * Returns the warnings from validating each source (see validateSources()),
+ * with each warning's field (or fields) prefixed by the source it came from,
+ * in the same way as errors are.
+ */
+function getWarnings(meta) {
+    var warnings = [];
+
+    SOURCES.forEach(function (source) {
+        if (!meta[source] || !meta[source].warnings) {
+            return;
+        }
+
+        meta[source].warnings.forEach(function (w) {
+            warnings.push(engine.prefixFields(source, w));
+        });
+    });
+
+    return warnings;
+}
+
+
+/*
+ * Formats warnings as the value of an HTTP Warning header (RFC 7234), using
+ * the "Miscellaneous Persistent Warning" code.
+ */
+function warningHeader(warnings) {
+    return warnings.map(function (w) {
+        var text = [].concat(w.field).join(', ') + ': ' + w.message;
+        return '299 - "' + text.replace(/(["\\])/g, '\\$1') + '"';
+    }).join(', ');
+}
+
+
+
+/*
+ * Exports
+ * =======
+ */
+
+
+
+/*
+ * Returns a restify handler that validates the query string, path parameters,
+ * body and headers of the request, each with its own validateParams()
+ * options. All errors are merged into a single InvalidParamsError, with
+ * fields prefixed by their source (e.g. "body.uuid"), and on success the
+ * validated parameters for each source are attached to the request as
+ * `req.validated`, e.g.: `req.validated.body`. Any warnings (e.g. for
+ * deprecated parameter names) are attached as `req.validationWarnings`, with
+ * fields prefixed by their source (e.g. "query.owner_id"), and sent in the
+ * response's Warning header.
+ *
+ * @param opts {Object}: Options for validating the request
+ * - `query` {Object}: validateParams() options for the query string
+ * - `params` {Object}: validateParams() options for the path parameters
+ * - `body` {Object}: validateParams() options for the body
+ * - `headers` {Object}: validateParams() options for the headers
+ * - `arg` {Any}: Passed as the first argument to each validation function. If
+ *   a function, it is called with the request to get the argument.
+ * - `errorFormat` {String or Function}: The form of the error for invalid
+ *   parameters, as for validateParams(). For "problem", the response has a
+ *   Content-Type of "application/problem+json" if the server has a formatter
+ *   for it.
+ * - `maxBodySize` {Number}: The largest body, in bytes, that the http, Express
+ *   and Koa middleware will read from the request (default 1 MiB). Larger
+ *   bodies get a 413 response. Restify's body has to be parsed by its
+ *   bodyParser plugin, which has its own limit.
+ *
+ * The returned handler has the compiled validators for each source as its
+ * `wardenSchemas` property, and the error format as `wardenErrorFormat`, for
+ * generating API documentation (see openapi.js).
+ */
+function restifyMiddleware(opts) {
+    var validateSources = requestValidator(opts);
+
+    function validateRequest(req, res, next) {
+        var sources = {
+            query: getQuery(req),
+            params: req.params || {},
+            body: req.body || {},
+            headers: req.headers
+        };
+
+        validateSources(req, sources, function (err, validated, warnings) {
+            if (err) {
+                if (err.contentType && res.formatters &&
+                    res.formatters[err.contentType]) {
+                    res.contentType = err.contentType;
+                }
+
+                next(err);
+                return;
+            }
+
+            if (warnings.length !== 0) {
+                res.header('Warning', warningHeader(warnings));
+            }
+
+            req.validated = validated;
+            req.validationWarnings = warnings;
+            next();
+        });
+    }
+
+    validateRequest.wardenSchemas = validateSources.schemas;
+    validateRequest.wardenErrorFormat = validateSources.errorFormat;
+
+    return validateRequest;
+}
+
+
+/*
+ * Returns a handler for requests from node's http module, which validates the
+ * request in the same way as restifyMiddleware(), with the same options. The
+ * query string is parsed from the URL, path parameters are taken from
+ * `req.params` if something has set it, and the body is taken from `req.body`
+ * if something has already parsed it, or otherwise read from the request as
+ * JSON and set as `req.body`. Only bodies with a JSON Content-Type are read:
+ * others get a 415 response.
+ *
+ * The handler is called with the request, response and a callback. On
+ * failure, it sends the error response (with the same status code and body
+ * restify would send) and calls back with the error. On success, it calls
+ * back with no arguments, and the request can then be handled as normal.
+ */
+function httpMiddleware(opts) {
+    var validateSources = requestValidator(opts);
+
+    function validateRequest(req, res, callback) {
+        function fail(err) {
+            sendError(res, err);
+            callback(err);
+        }
+
+        readBody(req, req.body, validateSources.schemas.body,
+                validateSources.maxBodySize, function (bodyErr, body) {
+            if (bodyErr) {
+                fail(bodyErr);
+                return;
+            }
+
+            validateSources(req, {
+                query: parseQuery(req),
+                params: req.params || {},
+                body: body,
+                headers: req.headers
+            }, function (err, validated, warnings) {
+                if (err) {
+                    fail(err);
+                    return;
+                }
+
+                if (warnings.length !== 0) {
+                    res.setHeader('Warning', warningHeader(warnings));
+                }
+
+                req.validated = validated;
+                req.validationWarnings = warnings;
+                callback();
+            });
+        });
+    }
+
+    validateRequest.wardenSchemas = validateSources.schemas;
+    validateRequest.wardenErrorFormat = validateSources.errorFormat;
+
+    return validateRequest;
+}
+
+
+/*
+ * Returns Express middleware, which validates the request in the same way as
+ * restifyMiddleware(), with the same options. The body is taken from
+ * `req.body` if a body parser (e.g. express.json()) has parsed it, or
+ * otherwise read from the request as JSON (as for httpMiddleware()). For path
+ * parameters to be validated, the middleware must be used for a route, rather
+ * than with app.use().
+ *
+ * On failure, the error response is sent with res.send(), and the request
+ * goes no further. Errors that don't have a status code and body (which can
+ * only come from a custom `errorFormat`) are passed to next() for Express's
+ * error handling.
+ */
+function expressMiddleware(opts) {
+    var validateSources = requestValidator(opts);
+
+    function fail(res, next, err) {
+        if (!err.statusCode || !err.body) {
+            next(err);
+            return;
+        }
+
+        res.status(err.statusCode);
+        if (err.contentType) {
+            res.type(err.contentType);
+            res.send(JSON.stringify(err.body));
+        } else {
+            res.json(err.body);
+        }
+    }
+
+    function validateRequest(req, res, next) {
+        readBody(req, req.body, validateSources.schemas.body,
+                validateSources.maxBodySize, function (bodyErr, body) {
+            if (bodyErr) {
+                fail(res, next, bodyErr);
+                return;
+            }
+
+            /*
+             * Express doesn't parse the query string if req.query is already
+             * set, which it is (as a function) if restify has been loaded,
+             * since restify adds it to http.IncomingMessage.
+             */
+            validateSources(req, {
+                query: typeof (req.query) === 'object' ?
+                    req.query || {} : parseQuery(req),
+                params: req.params || {},
+                body: body,
+                headers: req.headers
+            }, function (err, validated, warnings) {
+                if (err) {
+                    fail(res, next, err);
+                    return;
+                }
+
+                if (warnings.length !== 0) {
+                    res.set('Warning', warningHeader(warnings));
+                }
+
+                req.validated = validated;
+                req.validationWarnings = warnings;
+                next();
+            });
+        });
+    }
+
+    validateRequest.wardenSchemas = validateSources.schemas;
+    validateRequest.wardenErrorFormat = validateSources.errorFormat;
+
+    return validateRequest;
+}
+
+
+/*
+ * Returns Koa middleware, which validates the request in the same way as
+ * restifyMiddleware(), with the same options, except that `arg` (if a
+ * function) is called with the Koa context. Path parameters are taken from
+ * `ctx.params` (as set by e.g. koa-router), and the body from
+ * `ctx.request.body` if a body parser has parsed it, or otherwise read from
+ * the request as JSON (as for httpMiddleware()) and set as
+ * `ctx.request.body`. The validated parameters and warnings are attached to
+ * the context as `ctx.state.validated` and `ctx.state.validationWarnings`.
+ *
+ * On failure, the error response is set as the context's status and body, and
+ * the rest of the middleware isn't run. Errors that don't have a status code
+ * and body (which can only come from a custom `errorFormat`) are thrown for
+ * Koa's error handling.
+ */
+function koaMiddleware(opts) {
+    var validateSources = requestValidator(opts);
+
+    function validateRequest(ctx, next) {
+        /*
+         * The body is only read here if nothing has parsed it and there are
+         * options for validating it. Otherwise ctx.request.body is left
+         * alone, so that a body parser later in the chain still parses it.
+         */
+        var reading = typeof (ctx.request.body) === 'undefined' &&
+            Boolean(validateSources.schemas.body);
+
+        return new Promise(function (resolve, reject) {
+            readBody(ctx.req, ctx.request.body, validateSources.schemas.body,
+                    validateSources.maxBodySize, function (bodyErr, body) {
+                if (bodyErr) {
+                    reject(bodyErr);
+                    return;
+                }
+
+                if (reading) {
+                    ctx.request.body = body;
+                }
+
+                validateSources(ctx, {
+                    query: ctx.query || {},
+                    params: ctx.params || {},
+                    body: body,
+                    headers: ctx.headers
+                }, function (err, validated, warnings) {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    resolve({ validated: validated, warnings: warnings });
+                });
+            });
+        }).then(function (res) {
+            if (res.warnings.length !== 0) {
+                ctx.set('Warning', warningHeader(res.warnings));
+            }
+
+            ctx.state.validated = res.validated;
+            ctx.state.validationWarnings = res.warnings;
+            return next();
+        }, function (err) {
+            if (!err.statusCode || !err.body) {
+                throw err;
+            }
+
+            ctx.status = err.statusCode;
+            ctx.body = err.body;
+            if (err.contentType) {
+                ctx.type = err.contentType;
+            }
+            return undefined;
+        });
+    }
+
+    validateRequest.wardenSchemas = validateSources.schemas;
+    validateRequest.wardenErrorFormat = validateSources.errorFormat;
+
+    return validateRequest;
+}
+
+
+module.exports = {
+    express: expressMiddleware,
+    http: httpMiddleware,
+    koa: koaMiddleware,
+    restify: restifyMiddleware
+};
@@ -0,0 +1,310 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018 Joyent, Inc.
+ */
+
+'use strict';
+
+/*
+ * Generation of OpenAPI documents for restify servers, from the schemas
+ * attached to their routes by the validation middleware (see middleware.js).
+ */
+
+var assert = require('assert-plus');
+var errors = require('./errors');
+var jsonschema = require('./jsonschema');
+
+
+
+/*
+ * Globals
+ * =======
+ */
+
+
+
+var OPENAPI_VERSION = '3.1.0';
+
+/*
+ * Where each source validated by the middleware appears in an OpenAPI
+ * operation: body is the request body, and the rest are parameters.
+ */
+var PARAM_LOCATIONS = {
+    params: 'path',
+    query: 'query',
+    headers: 'header'
+};
+
+/*
+ * The body of an InvalidParamsError (see errors.js).
+ */
+var INVALID_PARAMS_SCHEMA = {
+    type: 'object',
+    properties: {
+        code: { type: 'string', const: 'InvalidParameters' },
+        message: { type: 'string' },
+        errors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    field: {
+                        anyOf: [
+                            { type: 'string' },
+                            { type: 'array', items: { type: 'string' } }
+                        ]
+                    },
+                    code: { type: 'string' },
+                    message: { type: 'string' },
+                    invalid: { type: 'array' }
+                },
+                required: [ 'field', 'code', 'message' ]
+            }
+        }
+    },
+    required: [ 'code', 'message', 'errors' ]
+};
+
+/*
+ * The body of a ProblemDetailsError (see errors.js).
+ */
+var PROBLEM_DETAILS_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string' },
+        title: { type: 'string' },
+        status: { type: 'integer', const: 422 },
+        detail: { type: 'string' },
+        'invalid-params': {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    reason: { type: 'string' },
+                    code: { type: 'string' }
+                },
+                required: [ 'name', 'reason', 'code' ]
+            }
+        }
+    },
+    required: [ 'type', 'title', 'status', 'detail', 'invalid-params' ]
+};
+
+
+
+/*
+ * Internal Helpers
+ * ================
+ */
+
+
+
+/*
+ * Converts a restify path (e.g. "/nics/:mac") to an OpenAPI path template
+ * (e.g. "/nics/{mac}").
+ */
+function pathTemplate(path) {
+    return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+
+/*
+ * Returns the first validation middleware in a route's handler chain, or null
+ * if there isn't one.
+ */
+function findMiddleware(chain) {
+    for (var i = 0; i < chain.length; i++) {
+        if (chain[i].wardenSchemas) {
+            return chain[i];
+        }
+    }
+
+    return null;
+}
+
+
+/*
+ * Returns the response for invalid parameters in the middleware's error
+ * format, adding the shared response and schema for it to the document's
+ * components if they're not there yet. A custom format's body can't be
+ * described, so gets a response with only a description.
+ */
+function invalidParamsResponse(doc, format) {
+    var contentType;
+    var name;
+
+    switch (format) {
+    case 'legacy':
+        name = 'InvalidParameters';
+        contentType = 'application/json';
+        doc.components.schemas[name] = INVALID_PARAMS_SCHEMA;
+        break;
+    case 'problem':
+        name = 'ProblemDetails';
+        contentType = errors.PROBLEM_CONTENT_TYPE;
+        doc.components.schemas[name] = PROBLEM_DETAILS_SCHEMA;
+        break;
+    default:
+        return { description: 'Invalid parameters' };
+    }
+
+    doc.components.responses[name] = {
+        description: 'Invalid parameters',
+        content: {}
+    };
+    doc.components.responses[name].content[contentType] = {
+        schema: { $ref: '#/components/schemas/' + name }
+    };
+
+    return { $ref: '#/components/responses/' + name };
+}
+
+
+/*
+ * Returns true if a body must be sent to be valid: that is, if the validator
+ * for it rejects an empty object, by having required fields or groups of
+ * fields that one of must be present.
+ */
+function bodyRequired(validator) {
+    var schema = validator.wardenSchema;
+
+    return schema.required.length !== 0 ||
+        schema.constraints.oneOf.length !== 0 ||
+        schema.constraints.anyOf.length !== 0;
+}
+
+
+function toSchema(validator, warn) {
+    var schema = jsonschema.toJSONSchema(validator, { warn: warn });
+    delete schema.$schema;
+    return schema;
+}
+
+
+/*
+ * Returns the OpenAPI operation object for a route validated with the given
+ * middleware.
+ */
+function operation(doc, route, middleware, warn) {
+    var schemas = middleware.wardenSchemas;
+    var op = {
+        operationId: route.name,
+        parameters: [],
+        responses: {
+            '200': { description: 'Success' },
+            '422': invalidParamsResponse(doc, middleware.wardenErrorFormat)
+        }
+    };
+
+    Object.keys(PARAM_LOCATIONS).forEach(function (source) {
+        if (!schemas[source]) {
+            return;
+        }
+
+        var schema = toSchema(schemas[source], warn);
+        var required = schema.required || [];
+
+        Object.keys(schema.properties).forEach(function (name) {
+            op.parameters.push({
+                name: name,
+                in: PARAM_LOCATIONS[source],
+                required: source === 'params' ||
+                    required.indexOf(name) !== -1,
+                schema: schema.properties[name]
+            });
+        });
+    });
+
+    if (schemas.body) {
+        op.requestBody = {
+            required: bodyRequired(schemas.body),
+            content: {
+                'application/json': { schema: toSchema(schemas.body, warn) }
+            }
+        };
+    }
+
+    return op;
+}
+
+
+
+/*
+ * Exports
+ * =======
+ */
+
+
+
+/*
+ * Returns an OpenAPI 3 document for the routes of a restify server that use
+ * the validation middleware. Each route's 422 response is described in the
+ * error format of its middleware (see `errorFormat` in middleware.js), and
+ * its request body is only marked as required when an empty body would be
+ * invalid.
+ *
+ * @param server {Object}: The restify server
+ * @param opts {Object}: Optional:
+ * - `title` {String}: The API's title (defaults to the server's name)
+ * - `version` {String}: The API's version (defaults to "1.0.0")
+ * - `description` {String}: A description of the API
+ * - `warn` {Function}: Called with a message for each part of the schemas that
+ *   can't be described (see jsonschema.toJSONSchema())
+ */
+function toOpenAPI(server, opts) {
+    assert.object(server, 'server');
+    assert.object(server.router, 'server.router');
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalString(opts.title, 'opts.title');
+    assert.optionalString(opts.version, 'opts.version');
+    assert.optionalString(opts.description, 'opts.description');
+    assert.optionalFunc(opts.warn, 'opts.warn');
+
+    var doc = {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: opts.title || server.name,
+            version: opts.version || '1.0.0'
+        },
+        paths: {},
+        components: {
+            schemas: {},
+            responses: {}
+        }
+    };
+
+    if (opts.description) {
+        doc.info.description = opts.description;
+    }
+
+    Object.keys(server.router.mounts).forEach(function (name) {
+        var route = server.router.mounts[name];
+        var middleware = findMiddleware(server.routes[name] || []);
+
+        /*
+         * Routes with regular expressions for paths can't be described.
+         */
+        if (middleware === null || typeof (route.spec.path) !== 'string') {
+            return;
+        }
+
+        var path = pathTemplate(route.spec.path);
+        doc.paths[path] = doc.paths[path] || {};
+        doc.paths[path][route.method.toLowerCase()] =
+            operation(doc, route, middleware, opts.warn);
+    });
+
+    return doc;
+}
+
+
+module.exports = {
+    toOpenAPI: toOpenAPI
+};
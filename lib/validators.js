@@ -460,7 +460,8 @@ function validateStringArray(_, name, vals, callback) {
  */
 function validateFieldsArray(fields) {
     assert.arrayOfString(fields, 'fields');
-    return function _validateFieldsArray(_, name, arr, callback) {
+
+    function _validateFieldsArray(_, name, arr, callback) {
         if (!Array.isArray(arr)) {
             callback(new errors.invalidParam(name,
                     constants.msg.ARRAY_OF_STR));
@@ -495,7 +496,16 @@ function validateFieldsArray(fields) {
         }
 
         callback(null, arr);
+    }
+
+    _validateFieldsArray.jsonSchema = {
+        type: 'array',
+        items: { enum: fields },
+        minItems: 1,
+        maxItems: fields.length
     };
+
+    return _validateFieldsArray;
 }
 
 function validateBoolean(_, name, val, callback) {
@@ -518,7 +528,8 @@ function validateBoolean(_, name, val, callback) {
  */
 function validateEnum(values) {
     assert.array(values, 'values');
-    return function _validateEnum(_, name, value, callback) {
+
+    function _validateEnum(_, name, value, callback) {
         if (values.indexOf(value) === -1) {
             callback(new errors.invalidParam(name,
                 'must be one of: ' + values.map(JSON.stringify).join(', ')));
@@ -526,11 +537,249 @@ function validateEnum(values) {
         }
 
         callback(null, value);
+    }
+
+    _validateEnum.jsonSchema = { enum: values };
+
+    return _validateEnum;
+}
+
+/*
+ * Returns a validator for an array where each element is validated using the
+ * given validation function. Errors are reported per element, e.g. a failure
+ * of the fourth element of field "ips" is reported as "ips[3]". Options:
+ *
+ * - `minItems` {Number}: The minimum number of elements
+ * - `maxItems` {Number}: The maximum number of elements
+ * - `unique` {Boolean}: Fail if any validated elements are the same
+ * - `allowCommaString` {Boolean}: Also accept a comma-separated string, as
+ *   sent by the commandline tools
+ */
+function validateArrayOf(validator, opts) {
+    assert.func(validator, 'validator');
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
+    assert.optionalNumber(opts.minItems, 'opts.minItems');
+    assert.optionalNumber(opts.maxItems, 'opts.maxItems');
+    assert.optionalBool(opts.unique, 'opts.unique');
+    assert.optionalBool(opts.allowCommaString, 'opts.allowCommaString');
+
+    function elemName(name, i) {
+        return fmt('%s[%d]', name, i);
+    }
+
+    var arrayValidator;
+
+    /*
+     * This takes a context, so that it can pass it on to the element
+     * validator with the element's name and path.
+     */
+    function _validateArrayOf(ctx, val, callback) {
+        var arr = val;
+        var name = ctx.name;
+
+        if (opts.allowCommaString && typeof (val) === 'string') {
+            arr = util_common.arrayify(val).map(function (s) {
+                return s.trim();
+            });
+        }
+
+        if (!Array.isArray(arr)) {
+            callback(errors.invalidParam(name, opts.allowCommaString ?
+                constants.msg.ARRAY_OR_STR : constants.msg.ARRAY));
+            return;
+        }
+
+        if (opts.minItems !== undefined && arr.length < opts.minItems) {
+            callback(errors.invalidParam(name, arr.length === 0 ?
+                constants.msg.ARRAY_EMPTY :
+                fmt('must contain at least %d elements', opts.minItems)));
+            return;
+        }
+
+        if (opts.maxItems !== undefined && arr.length > opts.maxItems) {
+            callback(errors.invalidParam(name,
+                fmt('must contain at most %d elements', opts.maxItems)));
+            return;
+        }
+
+        var errs = [];
+        var results = [];
+        var warnings = [];
+        var pending = arr.length;
+
+        function done() {
+            if (errs.length === 0 && opts.unique) {
+                var seen = {};
+                results.forEach(function (r, i) {
+                    var key = JSON.stringify(r);
+                    if (seen.hasOwnProperty(key)) {
+                        errs.push(errors.invalidParam(elemName(name, i),
+                            'duplicate of ' + elemName(name, seen[key])));
+                    } else {
+                        seen[key] = i;
+                    }
+                });
+            }
+
+            if (errs.length !== 0) {
+                callback(errs);
+                return;
+            }
+
+            callback(null, results, undefined, warnings);
+        }
+
+        if (pending === 0) {
+            done();
+            return;
+        }
+
+        arr.forEach(function (elem, i) {
+            util_common.callFieldFn(validator,
+                util_common.subContext(ctx, fmt('[%d]', i)), elem,
+                function (err, validated, _multi, w) {
+                    var warnErr = util_common.addWarnings(warnings, w);
+
+                    if (warnErr) {
+                        errs.push(warnErr);
+                    }
+
+                    if (Array.isArray(err)) {
+                        errs.push.apply(errs, err);
+                    } else if (err) {
+                        errs.push(err);
+                    } else {
+                        results[i] = typeof (validated) === 'undefined' ?
+                            elem : validated;
+                    }
+
+                    if (--pending === 0) {
+                        done();
+                    }
+                });
+        });
+    }
+
+    arrayValidator = util_common.classicValidator(_validateArrayOf);
+    /*
+     * For redacting sensitive fields of the elements in logs (see
+     * redactValue() in engine.js).
+     */
+    arrayValidator.elementValidator = validator;
+
+    /*
+     * The schema for the elements depends on the element validator, so this
+     * is a function that's passed the JSON Schema converter to produce it.
+     */
+    arrayValidator.jsonSchema = function (convert, path) {
+        var schema = {
+            type: 'array',
+            items: convert.validator(validator, path + '[]')
+        };
+
+        if (opts.minItems !== undefined) {
+            schema.minItems = opts.minItems;
+        }
+        if (opts.maxItems !== undefined) {
+            schema.maxItems = opts.maxItems;
+        }
+        if (opts.unique) {
+            schema.uniqueItems = true;
+        }
+        if (opts.allowCommaString) {
+            return { anyOf: [ schema, commaString(schema.items) ] };
+        }
+
+        return schema;
     };
+
+    return arrayValidator;
 }
 
 
+/*
+ * JSON Schema metadata
+ * ====================
+ *
+ * Each stock validator has a `jsonSchema` property describing the values it
+ * accepts, which is used by toJSONSchema() in jsonschema.js. Custom validators
+ * can set this too. Values from query strings are always strings, so for
+ * validators that also accept a string form (e.g. "limit"), the schema
+ * describes the value as it appears in a JSON body.
+ */
+
+/*
+ * Many of the array validators also accept a comma-separated string of
+ * elements, for the commandline tools.
+ */
+function commaString(items) {
+    return {
+        type: 'string',
+        description: 'comma-separated list of: ' +
+            (items.description || items.format || items.type || 'values')
+    };
+}
+
+function arrayOrCommaString(items) {
+    return {
+        anyOf: [
+            { type: 'array', items: items, minItems: 1 },
+            commaString(items)
+        ]
+    };
+}
+
+var IP_SCHEMA = {
+    type: 'string',
+    anyOf: [ { format: 'ipv4' }, { format: 'ipv6' } ],
+    description: 'IP address'
+};
+var SUBNET_SCHEMA = {
+    type: 'string',
+    description: 'subnet in CIDR form'
+};
+var UUID_SCHEMA = { type: 'string', format: 'uuid' };
+var STRING_SCHEMA = {
+    type: 'string',
+    minLength: 1,
+    maxLength: constants.MAX_STR_LEN
+};
+
+validateIP.jsonSchema = IP_SCHEMA;
+validateIParray.jsonSchema = arrayOrCommaString(IP_SCHEMA);
+validateSubnet.jsonSchema = SUBNET_SCHEMA;
+validateSubnetArray.jsonSchema = arrayOrCommaString(SUBNET_SCHEMA);
+validateUUID.jsonSchema = UUID_SCHEMA;
+validateUUIDarray.jsonSchema = arrayOrCommaString(UUID_SCHEMA);
+validateUUIDPrefix.jsonSchema = {
+    type: 'string',
+    maxLength: constants.MAX_STR_LEN,
+    description: 'UUID, or UUID prefix ending in "*"'
+};
+validateOffset.jsonSchema = {
+    type: 'integer',
+    minimum: constants.MIN_OFFSET
+};
+validateLimit.jsonSchema = {
+    type: 'integer',
+    minimum: constants.MIN_LIMIT,
+    maximum: constants.MAX_LIMIT
+};
+validateString.jsonSchema = STRING_SCHEMA;
+validateStringArray.jsonSchema = {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    minItems: 1
+};
+validateStringOrArray.jsonSchema = {
+    anyOf: [ STRING_SCHEMA, validateStringArray.jsonSchema ]
+};
+validateBoolean.jsonSchema = { type: 'boolean' };
+
+
 module.exports = {
+    arrayOf: validateArrayOf,
     arrayOfFields: validateFieldsArray,
     arrayOfIp: validateIParray,
     ip: validateIP,
@@ -0,0 +1,191 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018 Joyent, Inc.
+ */
+
+'use strict';
+
+/*
+ * Compares the time taken to validate the same parameters using the
+ * synchronous and asynchronous paths through the validation engine:
+ *
+ *     node tests/bench.js [iterations [baseline]]
+ *
+ * If `baseline` is given, it's the path to another copy of the library (e.g.
+ * a checkout of an earlier release, with its dependencies installed), whose
+ * validate.params() is run on the same parameters first, so that the numbers
+ * for this copy can be compared with it.
+ */
+
+var path = require('path');
+var validate = require('../lib/validate');
+var fmt = require('util').format;
+
+var ITERATIONS = Number(process.argv[2]) || 20000;
+var BASELINE = process.argv[3] ?
+    require(path.resolve(process.argv[3], 'lib', 'validate')) : null;
+
+/*
+ * The schema we validate PARAMS against, using the validators from `lib`
+ * (either this copy of the library or the baseline). It only uses features
+ * the baseline supports, so that both do the same work.
+ */
+function benchOpts(lib) {
+    return {
+        strict: true,
+        required: {
+            uuid: lib.uuid,
+            ip: lib.ip
+        },
+        optional: {
+            limit: lib.limit,
+            offset: lib.offset,
+            subnets: lib.arrayOfSubnet,
+            name: lib.string,
+            enabled: lib.boolean
+        }
+    };
+}
+
+var OPTS = benchOpts(validate);
+
+var PARAMS = {
+    uuid: 'e9e39136-bb4e-11e6-b107-ef7f99024cc4',
+    ip: '10.0.0.1',
+    offset: '20',
+    subnets: '10.0.0.0/24,10.0.1.0/24',
+    name: 'foo',
+    enabled: 'true'
+};
+
+
+/*
+ * Wraps each of the validators in `opts` so that it calls back on a later
+ * tick, forcing validateParams() down its asynchronous path.
+ */
+function asyncOpts(opts) {
+    var deferred = { strict: true, required: {}, optional: {} };
+
+    function defer(fn) {
+        return function (arg, name, val, cb) {
+            fn(arg, name, val, function (err, res) {
+                setImmediate(cb, err, res);
+            });
+        };
+    }
+
+    [ 'required', 'optional' ].forEach(function (kind) {
+        Object.keys(opts[kind]).forEach(function (f) {
+            deferred[kind][f] = defer(opts[kind][f]);
+        });
+    });
+
+    return deferred;
+}
+
+
+function report(name, start) {
+    var diff = process.hrtime(start);
+    var ms = diff[0] * 1e3 + diff[1] / 1e6;
+
+    console.log(fmt('%s: %d iterations in %d ms (%d us/op)', name,
+        ITERATIONS, Math.round(ms), Math.round(ms * 1e3 / ITERATIONS)));
+}
+
+
+function benchSync() {
+    var start = process.hrtime();
+
+    for (var i = 0; i < ITERATIONS; i++) {
+        validate.paramsSync(OPTS, null, PARAMS);
+    }
+
+    report('paramsSync', start);
+}
+
+
+function benchCompiledSync() {
+    var validator = validate.compile(OPTS);
+    var start = process.hrtime();
+
+    for (var i = 0; i < ITERATIONS; i++) {
+        validator.sync(null, PARAMS);
+    }
+
+    report('compiled sync', start);
+}
+
+
+function benchParams(name, validator, callback) {
+    var i = 0;
+    var start = process.hrtime();
+
+    function next() {
+        if (i++ === ITERATIONS) {
+            report(name, start);
+            callback();
+            return;
+        }
+
+        validator(null, PARAMS, function (err) {
+            if (err) {
+                throw err;
+            }
+
+            /*
+             * Avoid growing the stack when validators call back
+             * synchronously.
+             */
+            if (i % 100 === 0) {
+                setImmediate(next);
+            } else {
+                next();
+            }
+        });
+    }
+
+    next();
+}
+
+
+/*
+ * Runs the benchmarks for this copy of the library, after those for the
+ * baseline (if any).
+ */
+function benchAll() {
+    benchSync();
+    benchCompiledSync();
+    benchParams('params (synchronous validators)',
+        validate.params.bind(null, OPTS), function () {
+        benchParams('compiled (synchronous validators)',
+            validate.compile(OPTS), function () {
+            benchParams('params (asynchronous validators)',
+                validate.params.bind(null, asyncOpts(OPTS)),
+                function () {});
+        });
+    });
+}
+
+
+/*
+ * Warm up, so that the first benchmark isn't penalised.
+ */
+for (var w = 0; w < 1000; w++) {
+    validate.paramsSync(OPTS, null, PARAMS);
+}
+
+if (BASELINE) {
+    benchParams('baseline params (synchronous validators)',
+        BASELINE.params.bind(null, benchOpts(BASELINE)), function () {
+        benchParams('baseline params (asynchronous validators)',
+            BASELINE.params.bind(null, asyncOpts(benchOpts(BASELINE))),
+            benchAll);
+    });
+} else {
+    benchAll();
+}
@@ -10,12 +10,18 @@
 
 'use strict';
 
+/* global Promise: false */
+
 var test = require('tape');
 var validate = require('../lib/validate');
 var util_const = require('../lib/constants');
 var util_common = require('../lib/common');
 var util_err = require('../lib/errors');
 var fmt = require('util').format;
+var express = require('express');
+var http = require('http');
+var Koa = require('koa');
+var koaBodyParser = require('koa-bodyparser');
 var restify = require('restify');
 var verror = require('verror');
 
@@ -36,15 +42,45 @@ function expErr(message, errors, err, t) {
     t.deepEqual(err, errExp);
 }
 
+/*
+ * Makes a request to a server listening on 127.0.0.1, calling back with the
+ * response and its body.
+ */
+function httpRequest(server, method, path, body, callback) {
+    httpRequestWith(server, method, path,
+        { 'content-type': 'application/json' }, body, callback);
+}
+
+function httpRequestWith(server, method, path, headers, body, callback) {
+    var req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method: method,
+        path: path,
+        headers: headers
+    }, function (res) {
+        var data = '';
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+            data += chunk;
+        });
+        res.on('end', function () {
+            callback(res, data);
+        });
+    });
+
+    req.end(body);
+}
+
 function expErrInternal(err, t) {
-    var errExp = new restify.InternalError('Internal error');
+    var errExp = new util_err.InternalError(null, 'Internal error');
 
     t.deepEqual(err, errExp);
 }
 
 function expVErrInternal(err, errs,  t) {
-    var errExp = new restify.InternalError('Internal error');
-    errExp.jse_cause = new verror.MultiError(errs);
+    var errExp = new util_err.InternalError(new verror.MultiError(errs),
+        'Internal error');
 
     t.deepEqual(err, errExp);
 }
@@ -1687,3 +1723,2718 @@ test('isNotInteger', function (t) {
     t.ok(F === false, 'Expected false');
     t.end();
 });
+
+test('Chain-S-KV', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            owner: [
+                validate.string,
+                function lookup(_, _name, str, cb) {
+                    cb(null, { name: str, uuid: 'abc' });
+                },
+                function owns(_, _name, owner, cb) {
+                    cb(null, undefined, { owner_uuid: owner.uuid });
+                }
+            ]
+        }
+    };
+    var params = { owner: 'admin' };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        t.deepEqual(res, {
+            owner: { name: 'admin', uuid: 'abc' },
+            owner_uuid: 'abc'
+        }, 'each step receives the previous step\'s output');
+        t.end();
+    });
+});
+
+test('Chain-S-KI-first', function (t) {
+    var called = false;
+    var opts = {
+        strict: true,
+        required: {
+            owner: [
+                validate.string,
+                function lookup(_, _name, str, cb) {
+                    called = true;
+                    cb(null, str);
+                }
+            ]
+        }
+    };
+    var params = { owner: 5 };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ok(err, 'Expecting error');
+        t.notOk(called, 'bails after the first failure');
+        expErr(util_const.msg.INVALID_PARAMS,
+            [ util_err.invalidParam('owner', util_const.msg.STR) ], err, t);
+        t.end();
+    });
+});
+
+test('Chain-S-KI-second', function (t) {
+    var opts = {
+        strict: true,
+        optional: {
+            owner: [
+                validate.string,
+                function lookup(_, name, _str, cb) {
+                    cb(util_err.invalidParam(name, 'owner not found'));
+                }
+            ]
+        }
+    };
+    var params = { owner: 'nobody' };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ok(err, 'Expecting error');
+        expErr(util_const.msg.INVALID_PARAMS,
+            [ util_err.invalidParam('owner', 'owner not found') ], err, t);
+        t.end();
+    });
+});
+
+test('Object-S-KV', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            nic: validate.object({
+                strict: true,
+                required: { ip: validate.ip },
+                optional: { vlan_id: validate.offset }
+            })
+        }
+    };
+    var params = { nic: { ip: '10.0.0.1', vlan_id: '42' } };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        t.deepEqual(res, { nic: { ip: '10.0.0.1', vlan_id: 42 } },
+            'nested object validated');
+        t.end();
+    });
+});
+
+test('Object-S-KI', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            nic: validate.object({
+                strict: true,
+                required: {
+                    ip: validate.ip,
+                    mac: validate.string
+                },
+                optional: {
+                    net: validate.object({
+                        required: { uuid: validate.uuid }
+                    })
+                }
+            })
+        }
+    };
+    var params = {
+        nic: { ip: 'nope', net: { uuid: 'nope' }, foo: 'bar' }
+    };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ok(err, 'Expecting error');
+        var unknown = util_err.unknownParams([ 'foo' ]);
+        unknown.field = [ 'nic.foo' ];
+        var errors = [
+            util_err.invalidParam('nic.ip', 'invalid IP address'),
+            util_err.invalidParam('nic.net.uuid', util_const.msg.INVALID_UUID),
+            util_err.missingParam('nic.mac'),
+            unknown
+        ];
+        expErr(util_const.msg.INVALID_PARAMS, errors, err, t);
+        t.end();
+    });
+});
+
+test('Object-S-KI-notobject', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            nic: validate.object({ required: { ip: validate.ip } })
+        }
+    };
+    var params = { nic: [ '10.0.0.1' ] };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ok(err, 'Expecting error');
+        expErr(util_const.msg.INVALID_PARAMS,
+            [ util_err.invalidParam('nic', util_const.msg.OBJ) ], err, t);
+        t.end();
+    });
+});
+
+test('arrayOf-S-KV', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            e: validate.arrayOf(validate.enum([ 'a', 'b', 'c' ]),
+                { minItems: 1, maxItems: 3, unique: true })
+        }
+    };
+    var params = { e: [ 'c', 'a' ] };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        t.deepEqual(res, { e: [ 'c', 'a' ] }, 'order is preserved');
+        t.end();
+    });
+});
+
+test('arrayOf-S-KV-string', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            limits: validate.arrayOf(validate.limit,
+                { allowCommaString: true })
+        }
+    };
+    var params = { limits: '1, 20,300' };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        t.deepEqual(res, { limits: [ 1, 20, 300 ] },
+            'elements are the validated values');
+        t.end();
+    });
+});
+
+test('arrayOf-S-KI-elements', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            nics: validate.arrayOf(validate.object({
+                required: { ip: validate.ip }
+            }))
+        }
+    };
+    var params = { nics: [ { ip: '10.0.0.1' }, { ip: 'x' }, 'y' ] };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ok(err, 'Expecting error');
+        var errors = [
+            util_err.invalidParam('nics[1].ip', 'invalid IP address'),
+            util_err.invalidParam('nics[2]', util_const.msg.OBJ)
+        ];
+        expErr(util_const.msg.INVALID_PARAMS, errors, err, t);
+        t.end();
+    });
+});
+
+test('arrayOf-S-KI-bounds', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            a: validate.arrayOf(validate.uuid, { minItems: 1 }),
+            b: validate.arrayOf(validate.uuid, { maxItems: 1 }),
+            c: validate.arrayOf(validate.string),
+            d: validate.arrayOf(validate.string, { unique: true })
+        }
+    };
+    var params = {
+        a: [],
+        b: [ 'x', 'y' ],
+        c: 'foo',
+        d: [ 'foo', 'bar', 'foo' ]
+    };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ok(err, 'Expecting error');
+        var errors = [
+            util_err.invalidParam('a', util_const.msg.ARRAY_EMPTY),
+            util_err.invalidParam('b', 'must contain at most 1 elements'),
+            util_err.invalidParam('c', util_const.msg.ARRAY),
+            util_err.invalidParam('d[2]', 'duplicate of d[0]')
+        ];
+        expErr(util_const.msg.INVALID_PARAMS, errors, err, t);
+        t.end();
+    });
+});
+
+test('Promise-S-KV', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            ip: validate.ip,
+            owner: function lookup(arg, _name, owner) {
+                return Promise.resolve(arg.owners[owner]);
+            }
+        },
+        after: function checkOwner(_arg, _raw, validated) {
+            return Promise.resolve(validated.owner === 'abc');
+        }
+    };
+    var params = { ip: '8.8.8.8', owner: 'admin' };
+
+    var arg = { owners: { admin: 'abc' } };
+
+    validate.params(opts, arg, params).then(function (res) {
+        t.deepEqual(res.validated, { ip: '8.8.8.8', owner: 'abc' },
+            'resolved value has the validated value');
+        t.deepEqual(res.meta, { defaulted: [], warnings: [] },
+            'resolved value has the meta information');
+        t.end();
+    }, function (err) {
+        t.ifErr(err, 'Expecting success');
+        t.end();
+    });
+});
+
+test('Promise-S-KI', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            ip: validate.ip,
+            owner: function lookup(_arg, name, _owner) {
+                return Promise.reject(
+                    util_err.invalidParam(name, 'owner not found'));
+            }
+        }
+    };
+    var params = { ip: 'nope', owner: 'admin' };
+
+    validate.params(opts, null, params).then(function () {
+        t.fail('Expecting error');
+        t.end();
+    }, function (err) {
+        var errors = [
+            util_err.invalidParam('ip', 'invalid IP address'),
+            util_err.invalidParam('owner', 'owner not found')
+        ];
+        expErr(util_const.msg.INVALID_PARAMS, errors, err, t);
+        t.end();
+    });
+});
+
+test('Promise-S-KI-after', function (t) {
+    var opts = {
+        strict: true,
+        required: { ip: validate.ip },
+        after: function checkIp(_arg, _raw, _validated) {
+            return Promise.reject(util_err.invalidParam('ip', 'in use'));
+        }
+    };
+    var params = { ip: '8.8.8.8' };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ok(err, 'Expecting error');
+        expErr(util_const.msg.INVALID_PARAMS,
+            [ util_err.invalidParam('ip', 'in use') ], err, t);
+        t.end();
+    });
+});
+
+test('Promise-S-internal', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            owner: function lookup(_arg, _name, _owner) {
+                return Promise.reject(new Error('connection refused'));
+            }
+        }
+    };
+    var params = { owner: 'admin' };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ok(err, 'Expecting error');
+        t.equal(err.restCode, 'InternalError', 'internal error');
+        t.equal(err.cause().message, 'connection refused', 'has cause');
+        t.end();
+    });
+});
+
+test('middleware-restify', function (t) {
+    var server = restify.createServer();
+    var seen;
+
+    server.use(restify.queryParser());
+    server.use(restify.bodyParser());
+    server.put('/nics/:mac', validate.middleware({
+        params: { required: { mac: validate.string } },
+        query: { optional: { limit: validate.limit } },
+        body: {
+            strict: true,
+            required: { ip: validate.ip },
+            optional: { owner: validate.uuid }
+        },
+        arg: function (req) {
+            return req.method;
+        }
+    }), function (req, res, next) {
+        seen = req.validated;
+        res.send(200);
+        next();
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        var client = restify.createJsonClient({
+            url: 'http://127.0.0.1:' + server.address().port
+        });
+
+        client.put('/nics/abc?limit=5', { ip: '10.0.0.1' },
+                function (err, _req, res) {
+            t.ifErr(err, 'Expecting success');
+            t.deepEqual(seen, {
+                params: { mac: 'abc' },
+                query: { limit: 5 },
+                body: { ip: '10.0.0.1' }
+            }, 'validated sources attached to req');
+
+            client.put('/nics/abc?limit=0', { ip: 'x', foo: 1 },
+                    function (err2, _req2, res2, body) {
+                t.ok(err2, 'Expecting error');
+                t.equal(res2.statusCode, 422, 'status code');
+                t.deepEqual(body, {
+                    code: 'InvalidParameters',
+                    message: util_const.msg.INVALID_PARAMS,
+                    errors: [
+                        {
+                            field: [ 'body.foo' ],
+                            code: 'UnknownParameters',
+                            message: 'Unknown parameters: foo'
+                        },
+                        util_err.invalidParam('body.ip', 'invalid IP address'),
+                        util_err.invalidParam('query.limit',
+                            util_const.msg.LIMIT)
+                    ]
+                }, 'errors from all sources merged');
+
+                client.close();
+                server.close(function () {
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+test('middleware-restify: deprecated aliases', function (t) {
+    var server = restify.createServer();
+    var seen;
+    var warnings;
+
+    server.use(restify.queryParser());
+    server.get('/nics', validate.middleware({
+        query: { optional: { limit: {
+            fn: validate.limit,
+            aliases: [ { name: 'max', deprecated: true } ]
+        } } }
+    }), function (req, res, next) {
+        seen = req.validated;
+        warnings = req.validationWarnings;
+        res.send(200);
+        next();
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        var client = restify.createJsonClient({
+            url: 'http://127.0.0.1:' + server.address().port
+        });
+
+        client.get('/nics?max=5', function (err, _req, res) {
+            t.ifErr(err, 'Expecting success');
+            t.deepEqual(seen, { query: { limit: 5 } },
+                'deprecated alias validated as canonical field');
+            t.deepEqual(warnings, [ {
+                field: 'query.max',
+                code: 'DeprecatedParameter',
+                message: 'deprecated: use limit instead'
+            } ], 'req.validationWarnings');
+            t.equal(res.headers.warning,
+                '299 - "query.max: deprecated: use limit instead"',
+                'Warning header');
+
+            client.close();
+            server.close(function () {
+                t.end();
+            });
+        });
+    });
+});
+
+test('sources: errors name their source', function (t) {
+    var opts = { required: { uuid: validate.uuid } };
+
+    validate.sources({ query: opts, body: opts }, null,
+            { query: {}, body: { uuid: 'x' } }, function (err) {
+        expErr(util_const.msg.INVALID_PARAMS, [
+            util_err.invalidParam('body.uuid', util_const.msg.INVALID_UUID),
+            util_err.missingParam('query.uuid')
+        ], err, t);
+        t.end();
+    });
+});
+
+test('Default-S-KV', function (t) {
+    var opts = {
+        strict: true,
+        optional: {
+            limit: { fn: validate.limit, default: 1000 },
+            offset: { fn: validate.offset, default: '5',
+                validateDefault: true },
+            owner: {
+                fn: validate.uuid,
+                default: function (arg) {
+                    return arg.owner;
+                }
+            },
+            name: { fn: validate.string, default: 'foo' }
+        }
+    };
+    var arg = { owner: 'e9e39136-bb4e-11e6-b107-ef7f99024cc4' };
+    var params = { name: 'bar' };
+
+    validate.params(opts, arg, params, function (err, res, meta) {
+        t.ifErr(err, 'Expecting success');
+        t.deepEqual(res, {
+            limit: 1000,
+            offset: 5,
+            owner: arg.owner,
+            name: 'bar'
+        }, 'defaults applied');
+        t.deepEqual(meta.defaulted.sort(), [ 'limit', 'offset', 'owner' ],
+            'defaulted fields');
+        t.end();
+    });
+});
+
+test('Default-S-KI-validateDefault', function (t) {
+    var opts = {
+        strict: true,
+        optional: {
+            limit: { fn: validate.limit, default: 0, validateDefault: true }
+        }
+    };
+
+    validate.params(opts, null, {}, function (err, res) {
+        t.ok(err, 'Expecting error');
+        expErr(util_const.msg.INVALID_PARAMS,
+            [ util_err.invalidParam('limit', util_const.msg.LIMIT) ], err, t);
+        t.end();
+    });
+});
+
+test('Default: static values are copied', function (t) {
+    var opts = {
+        optional: {
+            tags: { fn: validate.arrayOfString, default: [ 'a' ] },
+            props: { fn: validate.object({}), default: { x: { y: 1 } } }
+        }
+    };
+    var validator = validate.compile(opts);
+    var res = validator.sync(null, {});
+
+    res.validated.tags.push('b');
+    res.validated.props.x.y = 2;
+
+    t.deepEqual(validator.sync(null, {}).validated, {
+        tags: [ 'a' ],
+        props: { x: { y: 1 } }
+    }, 'defaults unchanged by modifying an earlier result');
+    t.deepEqual(opts.optional.tags.default, [ 'a' ], 'options unchanged');
+    t.end();
+});
+
+test('Default: function throws', function (t) {
+    var opts = {
+        optional: {
+            owner: {
+                fn: validate.uuid,
+                default: function (arg) {
+                    return arg.owner;
+                }
+            }
+        }
+    };
+
+    validate.params(opts, null, {}, function (err, res) {
+        t.ok(err, 'Expecting error');
+        t.equal(res, undefined, 'no result');
+        t.equal(err.statusCode, 500, 'internal error');
+        t.ok(/default for field "owner" threw/.test(err.cause().message),
+            'cause names the field');
+        t.end();
+    });
+});
+
+test('Groups-S-KV', function (t) {
+    var opts = {
+        strict: true,
+        optional: {
+            owner_uuid: validate.uuid,
+            owner_uuids: validate.arrayOfUuid,
+            gateway: validate.ip,
+            provision_start_ip: validate.ip,
+            name: validate.string,
+            alias: validate.string
+        },
+        oneOf: [ 'owner_uuid', 'owner_uuids' ],
+        anyOf: [ [ 'name', 'alias' ] ],
+        requiredIf: { gateway: 'provision_start_ip' }
+    };
+    var params = {
+        owner_uuids: [ 'e9e39136-bb4e-11e6-b107-ef7f99024cc4' ],
+        gateway: '10.0.0.1',
+        provision_start_ip: '10.0.0.5',
+        name: 'foo',
+        alias: 'bar'
+    };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        t.end();
+    });
+});
+
+test('Groups-S-KI', function (t) {
+    var opts = {
+        strict: true,
+        optional: {
+            owner_uuid: validate.uuid,
+            owner_uuids: validate.arrayOfUuid,
+            gateway: validate.ip,
+            provision_start_ip: validate.ip,
+            fabric: validate.boolean,
+            vlan_id: validate.offset,
+            name: validate.string,
+            alias: validate.string
+        },
+        oneOf: [ 'owner_uuid', 'owner_uuids' ],
+        anyOf: [ [ 'name', 'alias' ] ],
+        mutuallyExclusive: [ [ 'vlan_id', 'gateway' ] ],
+        requiredIf: { gateway: [ 'provision_start_ip' ] },
+        forbiddenIf: {
+            vlan_id: function (validated) {
+                return validated.fabric === true;
+            }
+        }
+    };
+    var params = {
+        owner_uuid: 'e9e39136-bb4e-11e6-b107-ef7f99024cc4',
+        owner_uuids: [ 'e9e39136-bb4e-11e6-b107-ef7f99024cc4' ],
+        provision_start_ip: '10.0.0.5',
+        fabric: 'true',
+        vlan_id: 4
+    };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ok(err, 'Expecting error');
+        var errors = [
+            util_err.conflictingParams([ 'owner_uuid', 'owner_uuids' ]),
+            util_err.conflictingParams([ 'vlan_id' ],
+                'vlan_id must not be specified'),
+            util_err.missingOneOfParams([ 'gateway', 'provision_start_ip' ],
+                'gateway is required when provision_start_ip is specified'),
+            util_err.missingOneOfParams([ 'name', 'alias' ],
+                'must specify at least one of: name, alias')
+        ];
+        expErr(util_const.msg.INVALID_PARAMS, errors, err, t);
+        t.end();
+    });
+});
+
+test('Groups-S-KI-missing', function (t) {
+    var opts = {
+        strict: true,
+        optional: {
+            owner_uuid: validate.uuid,
+            owner_uuids: validate.arrayOfUuid
+        },
+        oneOf: [ [ 'owner_uuid', 'owner_uuids' ] ]
+    };
+
+    validate.params(opts, null, {}, function (err, res) {
+        t.ok(err, 'Expecting error');
+        var errors = [
+            util_err.missingOneOfParams([ 'owner_uuid', 'owner_uuids' ],
+                'must specify exactly one of: owner_uuid, owner_uuids')
+        ];
+        expErr('Missing parameters', errors, err, t);
+        t.end();
+    });
+});
+
+test('Groups-unknown-field', function (t) {
+    var opts = {
+        optional: { owner_uuid: validate.uuid },
+        mutuallyExclusive: [ 'owner_uuid', 'owner' ]
+    };
+
+    t.throws(function () {
+        validate.params(opts, null, {}, function () {});
+    }, /unknown field "owner"/, 'fields must be known');
+    t.end();
+});
+
+test('compile', function (t) {
+    var after = function noop(_, _raw, _validated, cb) {
+        cb();
+    };
+    var opts = {
+        strict: true,
+        required: { ip: validate.ip },
+        optional: { limit: { fn: validate.limit, default: 10 } },
+        after: after
+    };
+    var validator = validate.compile(opts);
+
+    t.equal(opts.after, after, 'opts not modified');
+
+    opts.required.ip = validate.uuid;
+    validator(null, { ip: '8.8.8.8' }, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        t.deepEqual(res, { ip: '8.8.8.8', limit: 10 }, 'validated');
+
+        validator(null, { ip: '8.8.8.8', foo: 'bar' }).catch(function (err2) {
+            expErr(util_const.msg.INVALID_PARAMS,
+                [ util_err.unknownParams([ 'foo' ]) ], err2, t);
+            t.end();
+        });
+    });
+});
+
+test('compile-invalid-opts', function (t) {
+    t.throws(function () {
+        validate.compile({ required: { ip: 'ip' } });
+    }, /opts\.required\[ip\]/, 'validators checked at compile time');
+    t.throws(function () {
+        validate.compile({ required: { ip: { fn: validate.ip, default: 1 } } });
+    }, /must not have a default/, 'defaults checked at compile time');
+    t.throws(function () {
+        validate.object({ strict: 'yes' });
+    }, /opts\.strict/, 'nested options checked at creation');
+    t.end();
+});
+
+test('paramsSync-S-KV', function (t) {
+    var opts = {
+        strict: true,
+        required: { ip: validate.ip },
+        optional: {
+            limit: { fn: validate.limit, default: 10 },
+            nic: validate.object({ required: { mac: validate.string } })
+        }
+    };
+    var params = { ip: '8.8.8.8', nic: { mac: 'abc' } };
+
+    var res = validate.paramsSync(opts, null, params);
+    t.deepEqual(res.validated, {
+        ip: '8.8.8.8',
+        limit: 10,
+        nic: { mac: 'abc' }
+    }, 'validated');
+    t.deepEqual(res.meta.defaulted, [ 'limit' ], 'meta');
+    t.end();
+});
+
+test('paramsSync-S-KI', function (t) {
+    var opts = {
+        strict: true,
+        required: { ip: validate.ip }
+    };
+
+    try {
+        validate.paramsSync(opts, null, { ip: 'nope' });
+        t.fail('Expecting error');
+    } catch (err) {
+        expErr(util_const.msg.INVALID_PARAMS,
+            [ util_err.invalidParam('ip', 'invalid IP address') ], err, t);
+    }
+    t.end();
+});
+
+test('paramsSync-async-validator', function (t) {
+    var opts = {
+        required: {
+            ip: function (_, _name, ip, cb) {
+                setImmediate(cb, null, ip);
+            }
+        }
+    };
+
+    t.throws(function () {
+        validate.paramsSync(opts, null, { ip: '8.8.8.8' });
+    }, /did not call back synchronously/, 'async validators rejected');
+    t.end();
+});
+
+test('paramsSync-compiled', function (t) {
+    var validator = validate.compile({
+        strict: true,
+        required: { ip: validate.ip },
+        optional: { limit: { fn: validate.limit, default: 10 } }
+    });
+    var expected = {
+        validated: { ip: '8.8.8.8', limit: 10 },
+        meta: { defaulted: [ 'limit' ], warnings: [] }
+    };
+
+    t.deepEqual(validator.sync(null, { ip: '8.8.8.8' }), expected,
+        'validator.sync()');
+    t.deepEqual(validate.paramsSync(validator, null, { ip: '8.8.8.8' }),
+        expected, 'paramsSync() with a compiled validator');
+    t.deepEqual(validator.outputs, { ip: [ 'ip' ], limit: [ 'limit' ] },
+        'outputs without emits');
+
+    try {
+        validator.sync(null, { ip: 'nope' });
+        t.fail('Expecting error');
+    } catch (err) {
+        expErr(util_const.msg.INVALID_PARAMS,
+            [ util_err.invalidParam('ip', 'invalid IP address') ], err, t);
+    }
+    t.end();
+});
+
+test('params-sync-callback', function (t) {
+    var opts = {
+        strict: true,
+        required: { ip: validate.ip },
+        after: function (_, _raw, _validated, cb) {
+            cb();
+        }
+    };
+    var called = false;
+
+    validate.params(opts, null, { ip: '8.8.8.8' }, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        called = true;
+    });
+    t.ok(called, 'synchronous validators call back synchronously');
+    t.end();
+});
+
+test('toJSONSchema', function (t) {
+    var warnings = [];
+    var opts = {
+        strict: true,
+        required: {
+            uuid: validate.uuid,
+            nic: validate.object({ required: { vlan_id: validate.offset } })
+        },
+        optional: {
+            limit: { fn: validate.limit, default: 1000 },
+            state: validate.enum([ 'running', 'stopped' ]),
+            fields: validate.arrayOfFields([ 'uuid', 'state' ]),
+            enabled: [ validate.boolean, function check(_, _n, v, cb) {
+                cb(null, v);
+            } ],
+            macs: validate.arrayOf(validate.string, { unique: true }),
+            custom: function custom(_, _n, v, cb) {
+                cb(null, v);
+            }
+        },
+        mutuallyExclusive: [ 'state', 'fields' ],
+        requiredIf: { limit: 'state' }
+    };
+    var doc = validate.toJSONSchema(validate.compile(opts), {
+        warn: function (msg) {
+            warnings.push(msg);
+        }
+    });
+
+    t.deepEqual(doc, {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        properties: {
+            uuid: { type: 'string', format: 'uuid' },
+            nic: {
+                type: 'object',
+                properties: {
+                    vlan_id: { type: 'integer', minimum: 0 }
+                },
+                required: [ 'vlan_id' ]
+            },
+            limit: { type: 'integer', minimum: 1, maximum: 1000,
+                default: 1000 },
+            state: { enum: [ 'running', 'stopped' ] },
+            fields: {
+                type: 'array',
+                items: { enum: [ 'uuid', 'state' ] },
+                minItems: 1,
+                maxItems: 2
+            },
+            enabled: { type: 'boolean' },
+            macs: {
+                type: 'array',
+                items: { type: 'string', minLength: 1, maxLength: 64 },
+                uniqueItems: true
+            },
+            custom: { $comment: 'no schema available for this field' }
+        },
+        required: [ 'uuid', 'nic' ],
+        additionalProperties: false,
+        dependentRequired: { state: [ 'limit' ] },
+        allOf: [
+            { not: { anyOf: [ { required: [ 'state', 'fields' ] } ] } }
+        ]
+    }, 'JSON Schema document');
+    t.deepEqual(warnings, [ 'no JSON Schema for validator "custom" of ' +
+        'field "custom": allowing any value' ], 'warnings');
+
+    t.equal(validate.toJSONSchema({ strict: true }, { draft: '07' }).$schema,
+        'http://json-schema.org/draft-07/schema#', 'draft-07');
+    t.end();
+});
+
+test('toJSONSchema: default warnings', function (t) {
+    var emitWarning = process.emitWarning;
+    var error = console.error;
+    var emitted = [];
+    var logged = [];
+    var opts = { required: { a: function (_, _name, val, cb) {
+        cb(null, val);
+    } } };
+
+    process.emitWarning = function (msg) {
+        emitted.push(msg);
+    };
+    console.error = function (msg) {
+        logged.push(msg);
+    };
+
+    try {
+        validate.toJSONSchema(opts);
+        process.emitWarning = undefined;
+        validate.toJSONSchema(opts);
+    } finally {
+        process.emitWarning = emitWarning;
+        console.error = error;
+    }
+
+    t.equal(emitted.length, 1, 'emitted as a process warning');
+    t.deepEqual(logged, [], 'nothing written to stderr without emitWarning');
+    t.end();
+});
+
+test('toOpenAPI', function (t) {
+    var server = restify.createServer({ name: 'napi' });
+    var noop = function (req, res, next) {
+        res.send(200);
+        next();
+    };
+
+    server.put('/nics/:mac', validate.middleware({
+        params: { required: { mac: validate.string } },
+        query: { optional: { limit: validate.limit } },
+        body: {
+            strict: true,
+            required: { ip: validate.ip }
+        }
+    }), noop);
+    server.get('/ping', noop);
+
+    var doc = validate.toOpenAPI(server, { version: '2.0.0' });
+
+    t.equal(doc.openapi, '3.1.0', 'OpenAPI version');
+    t.deepEqual(doc.info, { title: 'napi', version: '2.0.0' }, 'info');
+    t.deepEqual(Object.keys(doc.paths), [ '/nics/{mac}' ],
+        'only validated routes');
+    t.deepEqual(doc.paths['/nics/{mac}'].put, {
+        operationId: 'putnicsmac',
+        parameters: [
+            {
+                name: 'mac',
+                in: 'path',
+                required: true,
+                schema: { type: 'string', minLength: 1, maxLength: 64 }
+            },
+            {
+                name: 'limit',
+                in: 'query',
+                required: false,
+                schema: { type: 'integer', minimum: 1, maximum: 1000 }
+            }
+        ],
+        requestBody: {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: {
+                            ip: validate.ip.jsonSchema
+                        },
+                        required: [ 'ip' ],
+                        additionalProperties: false
+                    }
+                }
+            }
+        },
+        responses: {
+            '200': { description: 'Success' },
+            '422': { $ref: '#/components/responses/InvalidParameters' }
+        }
+    }, 'operation');
+    t.ok(doc.components.schemas.InvalidParameters, 'error schema');
+    t.end();
+});
+
+test('toOpenAPI: error formats and optional bodies', function (t) {
+    var server = restify.createServer({ name: 'napi' });
+    var noop = function (req, res, next) {
+        res.send(200);
+        next();
+    };
+
+    server.post('/nics', validate.middleware({
+        body: { optional: { ip: validate.ip } },
+        errorFormat: 'problem'
+    }), noop);
+    server.post('/networks', validate.middleware({
+        body: {
+            optional: { name: validate.string, uuid: validate.uuid },
+            anyOf: [ 'name', 'uuid' ]
+        },
+        errorFormat: function (message, errs) {
+            return new Error(message + ': ' + errs.length);
+        }
+    }), noop);
+
+    var doc = validate.toOpenAPI(server);
+    var nics = doc.paths['/nics'].post;
+    var networks = doc.paths['/networks'].post;
+
+    t.equal(nics.requestBody.required, false, 'no required fields');
+    t.equal(networks.requestBody.required, true, 'anyOf group');
+    t.deepEqual(nics.responses['422'],
+        { $ref: '#/components/responses/ProblemDetails' }, 'problem: 422');
+    t.deepEqual(doc.components.responses.ProblemDetails, {
+        description: 'Invalid parameters',
+        content: {
+            'application/problem+json': {
+                schema: { $ref: '#/components/schemas/ProblemDetails' }
+            }
+        }
+    }, 'problem: response');
+    t.ok(doc.components.schemas.ProblemDetails, 'problem: schema');
+    t.notOk(doc.components.schemas.InvalidParameters,
+        'unused error schema left out');
+    t.deepEqual(networks.responses['422'],
+        { description: 'Invalid parameters' }, 'custom format: 422');
+    t.end();
+});
+
+test('fromJSONSchema', function (t) {
+    var opts = validate.fromJSONSchema({
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        properties: {
+            uuid: { type: 'string', format: 'uuid' },
+            ip: { type: 'string', format: 'ipv4' },
+            state: { enum: [ 'running', 'stopped' ] },
+            vlan_id: { type: 'integer', minimum: 0, maximum: 4095 },
+            limit: { type: 'integer', minimum: 1, default: 10 },
+            tags: {
+                type: 'array',
+                items: { type: 'string', pattern: '^[a-z]+$' },
+                uniqueItems: true
+            },
+            nic: {
+                type: 'object',
+                properties: { mac: { type: 'string', minLength: 1 } },
+                required: [ 'mac' ],
+                additionalProperties: false
+            },
+            gateway: { type: 'string', format: 'ipv6' }
+        },
+        required: [ 'uuid', 'nic' ],
+        dependentRequired: { ip: [ 'gateway' ] },
+        additionalProperties: false
+    });
+
+    t.equal(opts.strict, true, 'strict');
+    t.deepEqual(Object.keys(opts.required), [ 'uuid', 'nic' ], 'required');
+    t.deepEqual(opts.requiredIf, { gateway: [ 'ip' ] }, 'requiredIf');
+
+    var params = {
+        uuid: 'e9e39136-bb4e-11e6-b107-ef7f99024cc4',
+        ip: '10.0.0.1',
+        gateway: 'fd00::1',
+        vlan_id: '42',
+        tags: [ 'a', 'b' ],
+        nic: { mac: 'abc' }
+    };
+
+    validate.params(opts, null, params, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        t.deepEqual(res, {
+            uuid: params.uuid,
+            ip: '10.0.0.1',
+            gateway: 'fd00::1',
+            vlan_id: 42,
+            limit: 10,
+            tags: [ 'a', 'b' ],
+            nic: { mac: 'abc' }
+        }, 'validated');
+
+        params = {
+            uuid: 'nope',
+            ip: 'fd00::1',
+            state: 'paused',
+            vlan_id: 4096,
+            tags: [ 'a', 'B', 'a' ],
+            nic: { mac: '', foo: 1 }
+        };
+
+        validate.params(opts, null, params, function (err2) {
+            t.ok(err2, 'Expecting error');
+            t.deepEqual(err2.body.errors.map(function (e) {
+                return [ e.field, e.message ];
+            }), [
+                [ [ 'gateway', 'ip' ],
+                    'gateway is required when ip is specified' ],
+                [ 'ip', 'invalid IPv4 address' ],
+                [ [ 'nic.foo' ], 'Unknown parameters: foo' ],
+                [ 'nic.mac', 'must be at least 1 characters' ],
+                [ 'state', 'must be one of: "running", "stopped"' ],
+                [ 'tags[1]', 'must match pattern ^[a-z]+$' ],
+                [ 'uuid', util_const.msg.INVALID_UUID ],
+                [ 'vlan_id', 'must be less than or equal to 4095' ]
+            ], 'errors');
+            t.end();
+        });
+    });
+});
+
+test('fromJSONSchema: inclusive and exclusive bounds', function (t) {
+    var opts = validate.fromJSONSchema({
+        type: 'object',
+        properties: {
+            a: { type: 'number', exclusiveMaximum: 10, maximum: 20 },
+            b: { type: 'number', maximum: 10, exclusiveMaximum: 20 },
+            c: { type: 'integer', exclusiveMinimum: 10, minimum: 0 },
+            d: { type: 'integer', minimum: 10, exclusiveMinimum: 0 }
+        }
+    });
+
+    validate.params(opts, null, { a: 15, b: 15, c: 5, d: 5 },
+            function (err) {
+        t.ok(err, 'Expecting error');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return [ e.field, e.message ];
+        }), [
+            [ 'a', 'must be less than 10' ],
+            [ 'b', 'must be less than or equal to 10' ],
+            [ 'c', 'must be greater than 10' ],
+            [ 'd', 'must be greater than or equal to 10' ]
+        ], 'the bound that failed is reported');
+
+        validate.params(opts, null, { a: 5, b: 10, c: 11, d: 10 },
+                function (err2, res) {
+            t.ifErr(err2, 'Expecting success');
+            t.deepEqual(res, { a: 5, b: 10, c: 11, d: 10 }, 'validated');
+            t.end();
+        });
+    });
+});
+
+test('fromJSONSchema-unsupported', function (t) {
+    t.throws(function () {
+        validate.fromJSONSchema({
+            type: 'object',
+            properties: { a: { type: 'string', format: 'email' } }
+        });
+    }, /\/properties\/a.*unsupported format "email"/, 'unknown format');
+    t.throws(function () {
+        validate.fromJSONSchema({
+            type: 'object',
+            properties: { a: { oneOf: [ { type: 'string' } ] } }
+        });
+    }, /\/properties\/a": unsupported keyword "oneOf"$/, 'no type');
+    t.throws(function () {
+        validate.fromJSONSchema({
+            type: 'object',
+            properties: { a: { $ref: '#/$defs/a' } }
+        });
+    }, /\/properties\/a": unsupported keyword "\$ref"$/, '$ref');
+    t.throws(function () {
+        validate.fromJSONSchema({ $ref: '#/$defs/a' });
+    }, /at "\/": unsupported keyword "\$ref"$/, '$ref at root');
+    t.throws(function () {
+        validate.fromJSONSchema({
+            type: 'object',
+            properties: { a: { description: 'a' } }
+        });
+    }, /\/properties\/a": "type" or "enum" is required/, 'missing type');
+    t.throws(function () {
+        validate.fromJSONSchema({
+            type: 'object',
+            properties: { a: { type: [ 'string', 'null' ] } }
+        });
+    }, /unsupported type \["string","null"\]/, 'array of types');
+    t.throws(function () {
+        validate.fromJSONSchema({
+            type: 'object',
+            properties: { a: { type: 'string' } },
+            required: 'a'
+        });
+    }, /at "\/": "required" must be an array of property names/,
+        'required not an array');
+    t.throws(function () {
+        validate.fromJSONSchema({
+            type: 'object',
+            properties: { a: { type: 'string', pattern: '([a-z]' } }
+        });
+    }, /\/properties\/a": invalid "pattern": /, 'invalid pattern');
+    t.throws(function () {
+        validate.fromJSONSchema({
+            type: 'object',
+            properties: { a: { type: 'integer', multipleOf: 2 } }
+        });
+    }, /unsupported keyword "multipleOf" for type "integer"/,
+        'unsupported keyword');
+    t.throws(function () {
+        validate.fromJSONSchema({ type: 'object', patternProperties: {} });
+    }, /unsupported keyword "patternProperties"/, 'unsupported at root');
+    t.end();
+});
+
+test('Unknown-policies', function (t) {
+    var params = { ip: '8.8.8.8', foo: 'bar', baz: 1 };
+
+    function opts(policy) {
+        return { unknown: policy, required: { ip: validate.ip } };
+    }
+
+    var rejected = validate.params.bind(null, opts('reject'), null, params);
+    rejected(function (err) {
+        expErr(util_const.msg.INVALID_PARAMS,
+            [ util_err.unknownParams([ 'foo', 'baz' ]) ], err, t);
+
+        var res = validate.paramsSync(opts('strip'), null, params);
+        t.deepEqual(res.validated, { ip: '8.8.8.8' }, 'strip');
+        t.equal(res.meta.unknown, undefined, 'strip: no unknowns listed');
+
+        res = validate.paramsSync(opts('passthrough'), null, params);
+        t.deepEqual(res.validated, params, 'passthrough');
+
+        res = validate.paramsSync(opts('warn'), null, params);
+        t.deepEqual(res.validated, { ip: '8.8.8.8' }, 'warn');
+        t.deepEqual(res.meta.unknown, [ 'foo', 'baz' ], 'warn: unknowns');
+        t.deepEqual(res.meta.warnings, [
+            util_err.ignoredParam('foo'),
+            util_err.ignoredParam('baz')
+        ], 'warn: warnings');
+        t.deepEqual(res.meta.warnings[0], {
+            field: 'foo',
+            code: 'UnknownParameter',
+            message: 'unknown parameter: ignored'
+        }, 'warn: warning form');
+
+        t.throws(function () {
+            validate.compile({ unknown: 'ignore' });
+        }, /opts\.unknown must be one of/, 'invalid policy');
+        t.throws(function () {
+            validate.compile({ unknown: 'warn', strict: false });
+        }, /only one of opts\.strict and opts\.unknown/, 'strict and unknown');
+        t.end();
+    });
+});
+
+test('Unknown-suggestions', function (t) {
+    var opts = {
+        strict: true,
+        required: { owner_uuid: validate.uuid },
+        optional: {
+            nic_tag: validate.string,
+            nic_tags: validate.arrayOfString,
+            limit: validate.limit
+        }
+    };
+    var params = {
+        owner_uuid: 'e9e39136-bb4e-11e6-b107-ef7f99024cc4',
+        ower_uuid: 'e9e39136-bb4e-11e6-b107-ef7f99024cc4',
+        nicTag: 'external',
+        nic_tagz: 'external',
+        hal: '1000'
+    };
+
+    validate.params(opts, null, params, function (err) {
+        t.ok(err, 'Expecting error');
+        var unknowns = [ 'ower_uuid', 'nicTag', 'nic_tagz', 'hal' ];
+        var suggestions = {
+            ower_uuid: [ 'owner_uuid' ],
+            nicTag: [ 'nic_tag', 'nic_tags' ],
+            nic_tagz: [ 'nic_tag', 'nic_tags' ]
+        };
+        var expected = util_err.unknownParams(unknowns, undefined,
+            suggestions);
+
+        t.deepEqual(expected.suggestions, suggestions, 'suggestions');
+        t.equal(expected.message, 'Unknown parameters: ' +
+            'ower_uuid (did you mean owner_uuid?), ' +
+            'nicTag (did you mean nic_tag or nic_tags?), ' +
+            'nic_tagz (did you mean nic_tag or nic_tags?), hal', 'message');
+        expErr(util_const.msg.INVALID_PARAMS, [ expected ], err, t);
+        t.end();
+    });
+});
+
+test('Unknown-suggestions: aliases', function (t) {
+    var opts = {
+        strict: true,
+        optional: {
+            owner_uuid: {
+                fn: validate.uuid,
+                aliases: [ 'owner', { name: 'ownerUUID', deprecated: true } ]
+            }
+        }
+    };
+
+    validate.params(opts, null, { ownerUuid: 'x', ownr: 'x' }, function (err) {
+        var expected = util_err.unknownParams([ 'ownerUuid', 'ownr' ],
+            undefined, {
+                ownerUuid: [ 'owner_uuid' ],
+                ownr: [ 'owner_uuid' ]
+            });
+
+        t.ok(err, 'Expecting error');
+        expErr(util_const.msg.INVALID_PARAMS, [ expected ], err, t);
+        t.end();
+    });
+});
+
+test('Unknown-suggestions: nested objects and sources', function (t) {
+    var nic = validate.object({
+        strict: true,
+        required: { owner_uuid: validate.uuid }
+    });
+    var uuid = 'e9e39136-bb4e-11e6-b107-ef7f99024cc4';
+
+    validate.params({ required: { nic: nic } }, null,
+            { nic: { owner_uuid: uuid, ower_uuid: uuid } }, function (err) {
+        var errs = err.body.errors;
+
+        t.equal(errs.length, 1, 'one error');
+        t.deepEqual(errs[0].field, [ 'nic.ower_uuid' ], 'field');
+        t.deepEqual(errs[0].suggestions, {
+            'nic.ower_uuid': [ 'owner_uuid' ]
+        }, 'suggestions keyed by field');
+
+        validate.sources({
+            body: { strict: true, required: { owner_uuid: validate.uuid } }
+        }, null, { body: { owner_uuid: uuid, ower_uuid: uuid } },
+                function (err2) {
+            var errs2 = err2.body.errors;
+
+            t.deepEqual(errs2[0].field, [ 'body.ower_uuid' ], 'source field');
+            t.deepEqual(errs2[0].suggestions, {
+                'body.ower_uuid': [ 'owner_uuid' ]
+            }, 'source suggestions keyed by field');
+            t.end();
+        });
+    });
+});
+
+test('editDistance', function (t) {
+    t.equal(util_common.editDistance('', 'abc'), 3, 'empty');
+    t.equal(util_common.editDistance('kitten', 'sitting'), 3, 'kitten');
+    t.equal(util_common.editDistance('owner', 'owner'), 0, 'same');
+    t.end();
+});
+
+test('closeMatches', function (t) {
+    var fields = [ 'a', 'id', 'ip', 'uuid', 'owner_uuid' ];
+
+    t.deepEqual(util_common.closeMatches('c', fields), [],
+        'one-character name');
+    t.deepEqual(util_common.closeMatches('A', fields), [ 'a' ],
+        'one-character name differing in case');
+    t.deepEqual(util_common.closeMatches('iq', fields), [ 'id', 'ip' ],
+        'two-character name');
+    t.deepEqual(util_common.closeMatches('ownerUUID', fields),
+        [ 'owner_uuid' ], 'case and separators');
+    t.end();
+});
+
+test('Aliases', function (t) {
+    var opts = {
+        strict: true,
+        required: {
+            owner_uuid: {
+                fn: validate.uuid,
+                aliases: [ 'owner', { name: 'ownerUUID', deprecated: true } ]
+            }
+        },
+        optional: {
+            limit: { fn: validate.limit, aliases: [ 'max' ] }
+        },
+        anyOf: [ 'owner_uuid', 'limit' ]
+    };
+    var uuid = 'e9e39136-bb4e-11e6-b107-ef7f99024cc4';
+
+    t.test('alias validated under canonical name', function (t2) {
+        var res = validate.paramsSync(opts, null, { owner: uuid, max: '5' });
+        t2.deepEqual(res.validated, { owner_uuid: uuid, limit: 5 },
+            'validated');
+        t2.deepEqual(res.meta.warnings, [], 'no warnings');
+        t2.end();
+    });
+
+    t.test('deprecated alias', function (t2) {
+        var res = validate.paramsSync(opts, null, { ownerUUID: uuid });
+        t2.deepEqual(res.validated, { owner_uuid: uuid }, 'validated');
+        t2.deepEqual(res.meta.warnings,
+            [ util_err.deprecatedParam('ownerUUID', 'owner_uuid') ],
+            'warnings');
+        t2.end();
+    });
+
+    t.test('deprecated alias: promise', function (t2) {
+        validate.params(opts, null, { ownerUUID: uuid }).then(function (res) {
+            t2.deepEqual(res.validated, { owner_uuid: uuid }, 'validated');
+            t2.deepEqual(res.meta.warnings,
+                [ util_err.deprecatedParam('ownerUUID', 'owner_uuid') ],
+                'warnings');
+            t2.end();
+        }, function (err) {
+            t2.ifErr(err, 'Expecting success');
+            t2.end();
+        });
+    });
+
+    t.test('errors refer to name used', function (t2) {
+        validate.params(opts, null, { owner: 'x', max: 0 }, function (err) {
+            expErr(util_const.msg.INVALID_PARAMS, [
+                util_err.invalidParam('max', util_const.msg.LIMIT),
+                util_err.invalidParam('owner', util_const.msg.INVALID_UUID)
+            ], err, t2);
+            t2.end();
+        });
+    });
+
+    t.test('field and alias both supplied', function (t2) {
+        validate.params(opts, null, { owner_uuid: uuid, owner: uuid },
+                function (err) {
+            expErr(util_const.msg.INVALID_PARAMS, [
+                util_err.conflictingParams([ 'owner_uuid', 'owner' ],
+                    'only one of owner_uuid, owner may be specified, ' +
+                    'as they are aliases')
+            ], err, t2);
+            t2.end();
+        });
+    });
+
+    t.test('missing', function (t2) {
+        validate.params(opts, null, {}, function (err) {
+            expErr('Missing parameters', [
+                util_err.missingParam('owner_uuid'),
+                util_err.missingOneOfParams([ 'owner_uuid', 'limit' ],
+                    'must specify at least one of: owner_uuid, limit')
+            ], err, t2);
+            t2.end();
+        });
+    });
+
+    t.test('clashing aliases', function (t2) {
+        t2.throws(function () {
+            validate.compile({
+                required: { a: { fn: validate.string, aliases: [ 'b' ] } },
+                optional: { b: validate.string }
+            });
+        }, /alias "b" of field "a" is already a field or alias/);
+        t2.end();
+    });
+
+    t.test('toJSONSchema', function (t2) {
+        var schema = validate.toJSONSchema(opts);
+        t2.deepEqual(schema.properties.ownerUUID, {
+            type: 'string',
+            format: 'uuid',
+            description: 'Alias of "owner_uuid"',
+            deprecated: true
+        }, 'deprecated alias property');
+        t2.equal(schema.required, undefined, 'no required list');
+        t2.deepEqual(schema.allOf[0], { oneOf: [
+            { required: [ 'owner_uuid' ] },
+            { required: [ 'owner' ] },
+            { required: [ 'ownerUUID' ] }
+        ] }, 'one name required');
+        t2.deepEqual(schema.allOf[1], { not: { anyOf: [
+            { required: [ 'limit', 'max' ] }
+        ] } }, 'at most one name of optional field');
+        t2.end();
+    });
+
+    t.end();
+});
+
+test('Warnings', function (t) {
+    function clampLimit(_arg, name, val, callback) {
+        validate.limit(null, name, val, function (err, limit) {
+            if (err && Number(val) > 1000) {
+                callback(null, 1000, undefined, util_err.paramWarning(name,
+                    'ClampedParameter', 'clamped to 1000'));
+                return;
+            }
+
+            callback(err, limit);
+        });
+    }
+
+    function checkName(_arg, _raw, validated, callback) {
+        callback(null, validated.name === 'foo' ?
+            [ util_err.paramWarning('name', 'Reserved', 'reserved name') ] :
+            undefined);
+    }
+
+    var opts = {
+        optional: {
+            limit: [ clampLimit ],
+            name: validate.string,
+            nic: validate.object({ optional: { limit: clampLimit } }),
+            limits: validate.arrayOf(clampLimit)
+        },
+        after: checkName
+    };
+
+    validate.params(opts, null, {
+        limit: '5000',
+        name: 'foo',
+        nic: { limit: 2000 },
+        limits: [ 1, 3000 ]
+    }, function (err, res, meta) {
+        t.ifErr(err, 'Expecting success');
+        t.deepEqual(res, {
+            limit: 1000,
+            name: 'foo',
+            nic: { limit: 1000 },
+            limits: [ 1, 1000 ]
+        }, 'validated');
+        t.deepEqual(meta.warnings, [
+            util_err.paramWarning('limit', 'ClampedParameter',
+                'clamped to 1000'),
+            util_err.paramWarning('nic.limit', 'ClampedParameter',
+                'clamped to 1000'),
+            util_err.paramWarning('limits[1]', 'ClampedParameter',
+                'clamped to 1000'),
+            util_err.paramWarning('name', 'Reserved', 'reserved name')
+        ], 'warnings from validators, chains, objects, arrays and after');
+
+        t.deepEqual(validate.paramsSync(opts, null, { limit: 5 }).meta.warnings,
+            [], 'no warnings');
+        t.end();
+    });
+});
+
+test('Warnings: promises and malformed warnings', function (t) {
+    var opts = {
+        optional: { name: validate.string },
+        after: function (_arg, _raw, validated) {
+            return Promise.resolve(validated);
+        }
+    };
+
+    validate.params(opts, null, { name: 'foo' }, function (err, res, meta) {
+        t.ifErr(err, 'Expecting success');
+        t.deepEqual(res, { name: 'foo' }, 'validated');
+        t.deepEqual(meta.warnings, [],
+            'value resolved by "after" function ignored');
+
+        function syncErr(syncOpts, params) {
+            try {
+                validate.paramsSync(syncOpts, null, params);
+            } catch (e) {
+                return e;
+            }
+            return null;
+        }
+
+        var caught = syncErr({
+            required: {
+                name: function (_arg, name, val, callback) {
+                    callback(null, val, undefined,
+                        { field: name, message: 'no code' });
+                }
+            }
+        }, { name: 'foo' });
+        t.ok(caught instanceof util_err.InternalError,
+            'warning without code: internal error');
+        t.equal(caught.cause().message,
+            'warnings[0].code (string) is required',
+            'warning without code: cause');
+
+        caught = syncErr({
+            after: function (_arg, _raw, _validated, callback) {
+                callback(null, 'oops');
+            }
+        }, {});
+        t.ok(caught instanceof util_err.InternalError,
+            'warning not an object: internal error');
+        t.equal(caught.cause().message, 'warnings[0] (object) is required',
+            'warning not an object: cause');
+        t.end();
+    });
+});
+
+test('Warnings: malformed warning from an async validator', function (t) {
+    var opts = {
+        required: {
+            name: function (_arg, name, val, callback) {
+                setImmediate(callback, null, val, undefined,
+                    { field: name, code: 'Odd' });
+            }
+        }
+    };
+
+    validate.params(opts, null, { name: 'foo' }, function (err) {
+        t.ok(err instanceof util_err.InternalError, 'internal error');
+        t.equal(err.statusCode, 500, 'statusCode');
+        t.equal(err.cause().message,
+            'warnings[0].message (string) is required', 'cause');
+
+        opts = {
+            required: {
+                names: validate.arrayOf(function (_a, _n, val, callback) {
+                    setImmediate(callback, null, val, undefined, [ 'oops' ]);
+                })
+            }
+        };
+
+        validate.params(opts, null, { names: [ 'a' ] }, function (err2) {
+            t.ok(err2 instanceof util_err.InternalError,
+                'arrayOf: internal error');
+            t.equal(err2.cause().message, 'warnings[0] (object) is required',
+                'arrayOf: cause');
+            t.end();
+        });
+    });
+});
+
+test('Error formats', function (t) {
+    var opts = {
+        errorFormat: 'problem',
+        required: {
+            ip: validate.ip,
+            nic: validate.object({ required: { mac: validate.string } })
+        },
+        strict: true
+    };
+    var params = { ip: 'x', nic: {}, foo: 1, bar: 2 };
+
+    t.test('problem', function (t2) {
+        validate.params(opts, null, params, function (err) {
+            t2.ok(err instanceof util_err.ProblemDetailsError, 'error class');
+            t2.equal(err.statusCode, 422, 'status code');
+            t2.equal(err.contentType, 'application/problem+json',
+                'content type');
+            t2.deepEqual(err.body, {
+                type: 'about:blank',
+                title: 'Unprocessable Entity',
+                status: 422,
+                detail: util_const.msg.INVALID_PARAMS,
+                'invalid-params': [
+                    { name: 'foo', reason: 'Unknown parameters: foo, bar',
+                        code: 'UnknownParameters' },
+                    { name: 'bar', reason: 'Unknown parameters: foo, bar',
+                        code: 'UnknownParameters' },
+                    { name: 'ip', reason: 'invalid IP address',
+                        code: 'InvalidParameter' },
+                    { name: 'nic.mac', reason: 'Missing parameter',
+                        code: 'MissingParameter' }
+                ]
+            }, 'body');
+            t2.end();
+        });
+    });
+
+    t.test('custom', function (t2) {
+        var custom = {
+            errorFormat: function (message, errors) {
+                var err = new Error(message);
+                err.fields = errors.map(function (e) {
+                    return e.field;
+                });
+                return err;
+            },
+            required: { ip: validate.ip }
+        };
+
+        try {
+            validate.paramsSync(custom, null, { ip: 'x' });
+            t2.fail('Expecting error');
+        } catch (err) {
+            t2.equal(err.message, util_const.msg.INVALID_PARAMS, 'message');
+            t2.deepEqual(err.fields, [ 'ip' ], 'custom error');
+        }
+        t2.end();
+    });
+
+    t.test('sources', function (t2) {
+        validate.sources({ body: validate.compile(opts) }, null,
+                { body: { ip: 'x', nic: { mac: 'a' } } }, function (err) {
+            expErr(util_const.msg.INVALID_PARAMS, [
+                util_err.invalidParam('body.ip', 'invalid IP address')
+            ], err, t2);
+            t2.end();
+        });
+    });
+
+    t.test('invalid format', function (t2) {
+        t2.throws(function () {
+            validate.compile({ errorFormat: 'xml' });
+        }, /opts\.errorFormat must be one of: legacy, problem, or a function/);
+        t2.end();
+    });
+
+    t.end();
+});
+
+test('Error formats: middleware', function (t) {
+    var server = restify.createServer({
+        formatters: {
+            'application/problem+json': function (_req, _res, body, cb) {
+                return cb(null, JSON.stringify(
+                    body instanceof Error ? body.body : body));
+            }
+        }
+    });
+
+    server.use(restify.queryParser());
+    server.get('/nics', validate.middleware({
+        query: { required: { limit: validate.limit } },
+        errorFormat: 'problem'
+    }), function (_req, res, next) {
+        res.send(200);
+        next();
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        var client = restify.createJsonClient({
+            url: 'http://127.0.0.1:' + server.address().port
+        });
+
+        client.get('/nics?limit=0', function (err, _req, res, body) {
+            t.ok(err, 'Expecting error');
+            t.equal(res.statusCode, 422, 'status code');
+            t.equal(res.headers['content-type'], 'application/problem+json',
+                'content type');
+            t.deepEqual(body['invalid-params'], [ {
+                name: 'query.limit',
+                reason: util_const.msg.LIMIT,
+                code: 'InvalidParameter'
+            } ], 'invalid-params');
+
+            client.close();
+            server.close(function () {
+                t.end();
+            });
+        });
+    });
+});
+
+test('middleware-http', function (t) {
+    var seen;
+    var handler = validate.http({
+        query: { optional: { limit: {
+            fn: validate.limit,
+            aliases: [ { name: 'max', deprecated: true } ]
+        } } },
+        body: { required: { ip: validate.ip } }
+    });
+    var server = http.createServer(function (req, res) {
+        handler(req, res, function (err) {
+            if (err) {
+                return;
+            }
+
+            seen = req.validated;
+            seen.rawBody = req.body;
+            res.end();
+        });
+    });
+
+    function request(path, body, callback) {
+        httpRequest(server, 'POST', path, body, callback);
+    }
+
+    server.listen(0, '127.0.0.1', function () {
+        request('/nics?max=5', JSON.stringify({ ip: '10.0.0.1' }),
+                function (res) {
+            t.equal(res.statusCode, 200, 'status code');
+            t.deepEqual(seen, {
+                query: { limit: 5 },
+                body: { ip: '10.0.0.1' },
+                rawBody: { ip: '10.0.0.1' }
+            }, 'validated sources attached to req, and body as req.body');
+            t.equal(res.headers.warning,
+                '299 - "query.max: deprecated: use limit instead"',
+                'Warning header');
+
+            request('/nics?limit=0', JSON.stringify({ ip: 'x' }),
+                    function (res2, data2) {
+                t.equal(res2.statusCode, 422, 'status code');
+                t.equal(res2.headers['content-type'], 'application/json',
+                    'content type');
+                t.deepEqual(JSON.parse(data2), new util_err.InvalidParamsError(
+                    util_const.msg.INVALID_PARAMS, [
+                        util_err.invalidParam('body.ip', 'invalid IP address'),
+                        util_err.invalidParam('query.limit',
+                            util_const.msg.LIMIT)
+                    ]).body, 'body');
+
+                request('/nics', '{', function (res3, data3) {
+                    t.equal(res3.statusCode, 400, 'invalid JSON: status');
+                    t.deepEqual(JSON.parse(data3), {
+                        code: 'InvalidContent',
+                        message: 'Invalid JSON in request body'
+                    }, 'invalid JSON: body');
+
+                    server.close(function () {
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('middleware-http: unknown parameter warnings', function (t) {
+    var seen;
+    var handler = validate.http({
+        query: { unknown: 'warn', optional: { limit: validate.limit } }
+    });
+    var server = http.createServer(function (req, res) {
+        handler(req, res, function (err) {
+            if (!err) {
+                seen = req.validationWarnings;
+                res.end();
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        httpRequest(server, 'GET', '/nics?limit=5&lmit=5', '', function (res) {
+            t.equal(res.statusCode, 200, 'status code');
+            t.deepEqual(seen, [ {
+                field: 'query.lmit',
+                code: 'UnknownParameter',
+                message: 'unknown parameter: ignored'
+            } ], 'req.validationWarnings');
+            t.equal(res.headers.warning,
+                '299 - "query.lmit: unknown parameter: ignored"',
+                'Warning header');
+
+            server.close(function () {
+                t.end();
+            });
+        });
+    });
+});
+
+test('middleware-http: warnings for several fields', function (t) {
+    var seen;
+    var handler = validate.http({
+        query: {
+            optional: { limit: validate.limit, offset: validate.offset },
+            after: function (_arg, _raw, _validated, callback) {
+                callback(null, {
+                    field: [ 'limit', 'offset' ],
+                    code: 'PagingIgnored',
+                    message: 'paging ignored',
+                    hint: 'use a marker'
+                });
+            }
+        }
+    });
+    var server = http.createServer(function (req, res) {
+        handler(req, res, function (err) {
+            if (!err) {
+                seen = req.validationWarnings;
+                res.end();
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+        httpRequest(server, 'GET', '/nics?limit=5&offset=1', '',
+                function (res) {
+            t.equal(res.statusCode, 200, 'status code');
+            t.deepEqual(seen, [ {
+                field: [ 'query.limit', 'query.offset' ],
+                code: 'PagingIgnored',
+                message: 'paging ignored',
+                hint: 'use a marker'
+            } ], 'each field prefixed, other properties kept');
+            t.equal(res.headers.warning,
+                '299 - "query.limit, query.offset: paging ignored"',
+                'Warning header');
+
+            server.close(function () {
+                t.end();
+            });
+        });
+    });
+});
+
+test('middleware-http: body limits', function (t) {
+    var handler = validate.http({
+        body: { required: { ip: validate.ip } },
+        maxBodySize: 64
+    });
+    var server = http.createServer(function (req, res) {
+        handler(req, res, function (err) {
+            if (!err) {
+                res.end();
+            }
+        });
+    });
+    var big = JSON.stringify({ ip: '10.0.0.1', pad: new Array(100).join('x') });
+
+    server.listen(0, '127.0.0.1', function () {
+        httpRequest(server, 'POST', '/nics', big, function (res, data) {
+            t.equal(res.statusCode, 413, 'too large: status');
+            t.deepEqual(JSON.parse(data), {
+                code: 'RequestEntityTooLarge',
+                message: 'Request body exceeds 64 bytes'
+            }, 'too large: body');
+
+            httpRequestWith(server, 'POST', '/nics',
+                    { 'content-type': 'application/x-www-form-urlencoded' },
+                    'ip=10.0.0.1', function (res2, data2) {
+                t.equal(res2.statusCode, 415, 'not JSON: status');
+                t.deepEqual(JSON.parse(data2), {
+                    code: 'UnsupportedMediaType',
+                    message: 'Request body must be application/json'
+                }, 'not JSON: body');
+
+                httpRequestWith(server, 'POST', '/nics',
+                        { 'content-type': 'application/merge-patch+json' },
+                        JSON.stringify({ ip: '10.0.0.1' }), function (res3) {
+                    t.equal(res3.statusCode, 200, '+json: status');
+
+                    server.close(function () {
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('Errors without restify', function (t) {
+    var err = new util_err.InvalidParamsError(util_const.msg.INVALID_PARAMS,
+        [ util_err.missingParam('ip') ]);
+    var internal = new util_err.InternalError(new Error('boom'));
+
+    t.ok(err instanceof Error, 'is an Error');
+    t.notOk(err instanceof restify.RestError, 'not a restify RestError');
+    t.equal(err.statusCode, 422, 'status code');
+    t.equal(err.restCode, 'InvalidParameters', 'rest code');
+    t.equal(internal.statusCode, 500, 'internal: status code');
+    t.equal(internal.message, 'Internal error', 'internal: message');
+    t.equal(internal.cause().message, 'boom', 'internal: cause');
+    t.deepEqual(internal.body, {
+        code: 'InternalError',
+        message: 'Internal error'
+    }, 'internal: body');
+    t.end();
+});
+
+/*
+ * Runs the same requests against the Express and Koa middleware, with a
+ * server that responds with the validated parameters.
+ */
+function testAdapter(t, server) {
+    var uuid = 'e9e39136-bb4e-11e6-b107-ef7f99024cc4';
+
+    server.listen(0, '127.0.0.1', function () {
+        httpRequest(server, 'PUT', '/nics/abc?limit=5',
+                JSON.stringify({ ip: '10.0.0.1', owner: uuid }),
+                function (res, data) {
+            t.equal(res.statusCode, 200, 'status code');
+            t.deepEqual(JSON.parse(data), {
+                query: { limit: 5 },
+                params: { mac: 'abc' },
+                body: { ip: '10.0.0.1', owner_uuid: uuid }
+            }, 'validated');
+            t.equal(res.headers.warning,
+                '299 - "body.owner: deprecated: use owner_uuid instead"',
+                'Warning header');
+
+            httpRequest(server, 'PUT', '/nics/abc?limit=0',
+                    JSON.stringify({ ip: 'x', foo: 1 }),
+                    function (res2, data2) {
+                t.equal(res2.statusCode, 422, 'status code');
+                t.ok(/^application\/json/.test(
+                    res2.headers['content-type']), 'content type');
+                t.deepEqual(JSON.parse(data2), {
+                    code: 'InvalidParameters',
+                    message: util_const.msg.INVALID_PARAMS,
+                    errors: [
+                        {
+                            field: [ 'body.foo' ],
+                            code: 'UnknownParameters',
+                            message: 'Unknown parameters: foo'
+                        },
+                        util_err.invalidParam('body.ip', 'invalid IP address'),
+                        util_err.invalidParam('query.limit',
+                            util_const.msg.LIMIT)
+                    ]
+                }, 'errors from all sources merged');
+
+                server.close(function () {
+                    t.end();
+                });
+            });
+        });
+    });
+}
+
+var ADAPTER_OPTS = {
+    params: { required: { mac: validate.string } },
+    query: { optional: { limit: validate.limit } },
+    body: {
+        strict: true,
+        required: { ip: validate.ip },
+        optional: { owner_uuid: {
+            fn: validate.uuid,
+            aliases: [ { name: 'owner', deprecated: true } ]
+        } }
+    }
+};
+
+test('middleware-express', function (t) {
+    var app = express();
+
+    app.use(express.json());
+    app.put('/nics/:mac', validate.express(ADAPTER_OPTS), function (req, res) {
+        res.json(req.validated);
+    });
+
+    testAdapter(t, http.createServer(app));
+});
+
+test('middleware-koa', function (t) {
+    var app = new Koa();
+
+    /*
+     * A minimal router, so that the middleware has path parameters to
+     * validate.
+     */
+    app.use(function (ctx, next) {
+        var match = /^\/nics\/([^\/]+)$/.exec(ctx.path);
+        if (!match) {
+            ctx.status = 404;
+            return undefined;
+        }
+
+        ctx.params = { mac: match[1] };
+        return next();
+    });
+    app.use(validate.koa(ADAPTER_OPTS));
+    app.use(function (ctx) {
+        ctx.body = ctx.state.validated;
+    });
+
+    testAdapter(t, http.createServer(app.callback()));
+});
+
+test('middleware-koa: body parser after the middleware', function (t) {
+    var app = new Koa();
+    var server;
+
+    app.use(validate.koa({ query: { optional: { limit: validate.limit } } }));
+    app.use(koaBodyParser());
+    app.use(function (ctx) {
+        ctx.body = {
+            validated: ctx.state.validated,
+            requestBody: ctx.request.body
+        };
+    });
+    server = http.createServer(app.callback());
+
+    server.listen(0, '127.0.0.1', function () {
+        httpRequest(server, 'POST', '/nics?limit=5',
+                JSON.stringify({ ip: '10.0.0.1' }), function (res, data) {
+            t.equal(res.statusCode, 200, 'status code');
+            t.deepEqual(JSON.parse(data), {
+                validated: { query: { limit: 5 } },
+                requestBody: { ip: '10.0.0.1' }
+            }, 'body left for the body parser');
+
+            server.close(function () {
+                t.end();
+            });
+        });
+    });
+});
+
+test('Observer and metrics', function (t) {
+    var calls = [];
+    var collector = new validate.MetricsCollector({ buckets: [ 10, 1000 ] });
+
+    function slowUuid(arg, name, val, callback) {
+        setTimeout(function () {
+            validate.uuid(arg, name, val, callback);
+        }, 20);
+    }
+
+    function checkLimit(_arg, _raw, validated, callback) {
+        callback(validated.limit > 100 ?
+            util_err.invalidParam('limit', 'too big') : null);
+    }
+
+    var opts = {
+        required: { owner: slowUuid },
+        optional: { limit: validate.limit },
+        after: checkLimit,
+        observer: {
+            onFieldStart: function (field) {
+                calls.push([ 'start', field ]);
+            },
+            onFieldEnd: function (field, ms, err) {
+                calls.push([ 'end', field, typeof (ms), err ]);
+            },
+            onAfter: function (name, ms, err) {
+                calls.push([ 'after', name, typeof (ms), err ]);
+            },
+            onResult: function (ms, err) {
+                calls.push([ 'result', typeof (ms), err && err.name ]);
+            }
+        }
+    };
+    var uuid = 'e9e39136-bb4e-11e6-b107-ef7f99024cc4';
+
+    validate.params(opts, null, { owner: uuid, limit: 500 }, function (err) {
+        t.ok(err, 'Expecting error');
+        t.deepEqual(calls, [
+            [ 'start', 'owner' ],
+            [ 'start', 'limit' ],
+            [ 'end', 'limit', 'number', null ],
+            [ 'end', 'owner', 'number', null ],
+            [ 'after', 'checkLimit', 'number',
+                util_err.invalidParam('limit', 'too big') ],
+            [ 'result', 'number', 'InvalidParamsError' ]
+        ], 'hooks called');
+
+        opts.observer = collector;
+        var validator = validate.compile(opts);
+
+        validator(null, { owner: 'x', limit: 0 }, function () {
+            validator(null, { owner: uuid, limit: 5 }, function (err2) {
+                t.ifErr(err2, 'Expecting success');
+
+                var snap = collector.snapshot();
+                t.deepEqual(snap.fields.owner.codes,
+                    { InvalidParameter: 1 }, 'owner: codes');
+                t.equal(snap.fields.owner.count, 2, 'owner: count');
+                t.equal(snap.fields.owner.failures, 1, 'owner: failures');
+                t.equal(snap.fields.owner.latency.buckets['10'], 0,
+                    'owner: no fast validations');
+                t.equal(snap.fields.owner.latency.buckets['1000'], 2,
+                    'owner: slow validations');
+                t.equal(snap.fields.owner.latency.buckets['+Inf'], 2,
+                    'owner: all validations');
+                t.ok(snap.fields.owner.latency.sum >= 30, 'owner: sum');
+                t.equal(snap.fields.limit.failures, 1, 'limit: failures');
+                t.equal(snap.after.checkLimit.count, 1, 'after: count');
+                t.deepEqual(snap.results.codes, { InvalidParameter: 2 },
+                    'results: codes');
+                t.equal(snap.results.failures, 1, 'results: failures');
+                t.deepEqual(snap.inFlight, { owner: 0, limit: 0 },
+                    'nothing in flight');
+
+                collector.reset();
+                t.deepEqual(collector.snapshot().fields, {}, 'reset');
+                t.end();
+            });
+        });
+    });
+});
+
+/*
+ * A bunyan-compatible logger that records the records logged at each level.
+ */
+function TestLogger() {
+    var self = this;
+    this.records = [];
+
+    [ 'debug', 'info', 'error' ].forEach(function (level) {
+        self[level] = function (fields, msg) {
+            self.records.push({ level: level, fields: fields, msg: msg });
+        };
+    });
+}
+
+test('Logging', function (t) {
+    var log = new TestLogger();
+    var opts = {
+        required: {
+            login: validate.string,
+            password: {
+                fn: validate.string,
+                sensitive: true,
+                aliases: [ 'pw' ]
+            }
+        },
+        optional: { limit: validate.limit }
+    };
+
+    t.test('arg.log', function (t2) {
+        validate.params(opts, { log: log },
+                { login: 'admin', pw: 'hunter2', limit: 0 }, function (err) {
+            t2.ok(err, 'Expecting error');
+
+            var debug = log.records.filter(function (r) {
+                return r.level === 'debug';
+            });
+            t2.deepEqual(debug.map(function (r) {
+                return [ r.fields.field, r.fields.value, r.msg ];
+            }), [
+                [ 'login', 'admin', 'validated parameter' ],
+                [ 'pw', '[REDACTED]', 'validated parameter' ],
+                [ 'limit', 0, 'validated parameter' ]
+            ], 'debug record per field, with sensitive values redacted');
+            t2.equal(typeof (debug[0].fields.durationMs), 'number',
+                'field duration');
+            t2.deepEqual(debug[2].fields.errors,
+                [ util_err.invalidParam('limit', util_const.msg.LIMIT) ],
+                'field errors');
+
+            var info = log.records.filter(function (r) {
+                return r.level === 'info';
+            });
+            t2.equal(info.length, 1, 'one summary record');
+            t2.equal(info[0].msg, 'parameter validation failed', 'message');
+            t2.deepEqual(info[0].fields.errors, err.body.errors, 'errors');
+            t2.deepEqual(info[0].fields.params,
+                { login: 'admin', pw: '[REDACTED]', limit: 0 },
+                'params redacted');
+            t2.end();
+        });
+    });
+
+    t.test('opts.log and sources', function (t2) {
+        var log2 = new TestLogger();
+        var srcOpts = {
+            log: log2,
+            required: { password: { fn: validate.string, sensitive: true } }
+        };
+
+        var schemas = {
+            body: srcOpts,
+            query: { required: { id: validate.uuid } }
+        };
+
+        validate.sources(schemas, null,
+                { body: { password: 'hunter2' }, query: { id: 'x' } },
+                function (err) {
+            t2.ok(err, 'Expecting error');
+
+            var info = log2.records.filter(function (r) {
+                return r.level === 'info';
+            });
+            t2.equal(info.length, 1, 'one summary record for all sources');
+            t2.deepEqual(info[0].fields.params, {
+                body: { password: '[REDACTED]' },
+                query: { id: 'x' }
+            }, 'params for each source');
+
+            log2.records = [];
+            validate.paramsSync(srcOpts, null, { password: 'hunter2' });
+            t2.deepEqual(log2.records.map(function (r) {
+                return r.level;
+            }), [ 'debug' ], 'no summary on success');
+            t2.end();
+        });
+    });
+
+    t.test('nested objects', function (t2) {
+        var log3 = new TestLogger();
+        var nic = validate.object({
+            required: {
+                ip: validate.ip,
+                password: { fn: validate.string, sensitive: true }
+            }
+        });
+        var nestedOpts = {
+            log: log3,
+            required: { nic: nic },
+            optional: { nics: validate.arrayOf(nic), extra: [ nic ] }
+        };
+        var value = { ip: 'x', password: 'hunter2' };
+        var redacted = { ip: 'x', password: '[REDACTED]' };
+
+        validate.params(nestedOpts, null,
+                { nic: value, nics: [ value ], extra: value }, function (err) {
+            t2.ok(err, 'Expecting error');
+
+            var debug = log3.records.filter(function (r) {
+                return r.level === 'debug' && r.fields.field !== 'ip' &&
+                    r.fields.field !== 'password';
+            });
+            t2.deepEqual(debug.map(function (r) {
+                return [ r.fields.field, r.fields.value ];
+            }), [
+                [ 'nic', redacted ],
+                [ 'nics', [ redacted ] ],
+                [ 'extra', redacted ]
+            ], 'debug records redacted');
+
+            var info = log3.records.filter(function (r) {
+                return r.level === 'info';
+            });
+            t2.deepEqual(info[0].fields.params, {
+                nic: redacted,
+                nics: [ redacted ],
+                extra: redacted
+            }, 'summary params redacted');
+            t2.equal(JSON.stringify(log3.records).indexOf('hunter2'), -1,
+                'password not logged');
+            t2.equal(value.password, 'hunter2', 'params not modified');
+            t2.end();
+        });
+    });
+
+    t.end();
+});
+
+test('Request cache', function (t) {
+    var lookups = 0;
+    var uuid = 'e9e39136-bb4e-11e6-b107-ef7f99024cc4';
+
+    function loadOwner(id) {
+        return function (cb) {
+            lookups++;
+            setTimeout(function () {
+                cb(null, { uuid: id, approved: true });
+            }, 5);
+        };
+    }
+
+    var checks = {
+        owner: validate.withContext(function (ctx, val, callback) {
+            ctx.cache.get('owner:' + val, loadOwner(val),
+                    function (err, owner) {
+                callback(err || (owner.approved ? null :
+                    util_err.invalidParam(ctx.name, 'not approved')), val);
+            });
+        }),
+        creator: validate.withContext(function (ctx, val) {
+            return ctx.cache.get('owner:' + val, loadOwner(val)).then(
+                function (owner) {
+                return owner.uuid;
+            });
+        }),
+        after: validate.withContext(function (ctx, callback) {
+            var owner = ctx.validated.owner;
+
+            ctx.cache.get('owner:' + owner, loadOwner(owner), function (err) {
+                callback(err);
+            });
+        })
+    };
+
+    var opts = {
+        cache: true,
+        required: { owner: checks.owner },
+        optional: {
+            creator: [ validate.uuid, checks.creator ],
+            nic: validate.object({ optional: { owner: checks.owner } }),
+            owners: validate.arrayOf(checks.owner)
+        },
+        after: checks.after
+    };
+
+    validate.params(opts, null, {
+        owner: uuid,
+        creator: uuid,
+        nic: { owner: uuid },
+        owners: [ uuid, uuid ]
+    }, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        t.equal(res.creator, uuid, 'validated');
+        t.equal(lookups, 1, 'one lookup for the run');
+
+        validate.params(opts, null, { owner: uuid }, function (err2) {
+            t.ifErr(err2, 'Expecting success');
+            t.equal(lookups, 2, 'new cache for each run');
+
+            t.throws(function () {
+                validate.compile({ cache: 'yes' });
+            }, /opts\.cache \(bool\) is required/, 'invalid cache option');
+            t.end();
+        });
+    });
+});
+
+test('RequestCache', function (t) {
+    var cache = new validate.RequestCache();
+    var calls = 0;
+
+    function failing(cb) {
+        calls++;
+        cb(new Error('lookup failed'));
+    }
+
+    cache.get('a', failing, function (err) {
+        t.equal(err.message, 'lookup failed', 'error');
+        cache.get('a', failing).then(function () {
+            t.fail('Expecting rejection');
+        }, function (err2) {
+            t.equal(err2, err, 'error cached');
+            t.equal(calls, 1, 'loader called once');
+            t.ok(cache.has('a'), 'has');
+            t.notOk(cache.has('b'), 'has not');
+            t.end();
+        });
+    });
+});
+
+test('RequestCache: loader throws', function (t) {
+    var cache = new validate.RequestCache();
+    var calls = 0;
+
+    function throwing() {
+        calls++;
+        throw new Error('loader threw');
+    }
+
+    cache.get('a', throwing, function (err) {
+        t.equal(err.message, 'loader threw', 'error');
+        cache.get('a', throwing, function (err2) {
+            t.equal(err2, err, 'error cached');
+            t.equal(calls, 1, 'loader called once');
+            t.end();
+        });
+    });
+});
+
+test('RequestCache: __proto__ key', function (t) {
+    var cache = new validate.RequestCache();
+
+    t.notOk(cache.has('__proto__'), 'not cached yet');
+    cache.get('__proto__', function (cb) {
+        cb(null, 'value');
+    }, function (err, res) {
+        t.ifErr(err, 'Expecting success');
+        t.equal(res, 'value', 'result');
+        t.ok(cache.has('__proto__'), 'cached');
+        cache.get('__proto__', function (cb) {
+            cb(null, 'other');
+        }, function (err2, res2) {
+            t.ifErr(err2, 'Expecting success');
+            t.equal(res2, 'value', 'cached result');
+            t.end();
+        });
+    });
+});
+
+test('Validation context', function (t) {
+    var seen = [];
+    var arg = { name: 'arg' };
+
+    var record = validate.withContext(function (ctx, val, callback) {
+        seen.push({ name: ctx.name, path: ctx.path, arg: ctx.arg });
+        callback(val < 0 ? util_err.invalidParam(ctx.name, 'negative') : null,
+            val);
+    });
+
+    var opts = {
+        required: { size: record },
+        optional: {
+            nic: validate.object({
+                required: { mtu: [ function (_, _name, val, callback) {
+                    callback(null, Number(val));
+                }, record ] }
+            }),
+            disks: validate.arrayOf(record)
+        },
+        after: validate.withContext(function (ctx, callback) {
+            t.equal(ctx.name, null, 'after: no name');
+            t.deepEqual(ctx.raw, { size: 1, nic: { mtu: 1500 },
+                disks: [ 2, 3 ] }, 'after: raw');
+            t.deepEqual(ctx.validated, { size: 1, nic: { mtu: 1500 },
+                disks: [ 2, 3 ] }, 'after: validated');
+            callback();
+        })
+    };
+
+    t.test('paths', function (t2) {
+        validate.params(opts, arg, {
+            size: 1,
+            nic: { mtu: 1500 },
+            disks: [ 2, 3 ]
+        }, function (err) {
+            t2.ifErr(err, 'Expecting success');
+            t2.deepEqual(seen.sort(function (a, b) {
+                return a.path < b.path ? -1 : 1;
+            }), [
+                { name: 'disks[0]', path: 'disks[0]', arg: arg },
+                { name: 'disks[1]', path: 'disks[1]', arg: arg },
+                { name: 'mtu', path: 'nic.mtu', arg: arg },
+                { name: 'size', path: 'size', arg: arg }
+            ], 'names and paths');
+            t2.end();
+        });
+    });
+
+    t.test('errors', function (t2) {
+        validate.params({ optional: opts.optional }, arg, {
+            nic: { mtu: -1 },
+            disks: [ 1, -1 ]
+        }, function (err) {
+            t2.deepEqual(err.body.errors, [
+                util_err.invalidParam('disks[1]', 'negative'),
+                util_err.invalidParam('nic.mtu', 'negative')
+            ], 'errors use names');
+            t2.end();
+        });
+    });
+
+    t.test('req and cache', function (t2) {
+        var req = { headers: {} };
+
+        validate.sources({
+            query: {
+                cache: true,
+                required: {
+                    id: validate.withContext(function (ctx, val, callback) {
+                        t2.equal(ctx.req, req, 'req');
+                        t2.ok(ctx.cache instanceof validate.RequestCache,
+                            'cache');
+                        t2.deepEqual(ctx.raw, { id: 'x' }, 'raw');
+                        callback(null, val);
+                    })
+                }
+            }
+        }, arg, { query: { id: 'x' } }, { req: req }, function (err, res) {
+            t2.ifErr(err, 'Expecting success');
+            t2.deepEqual(res, { query: { id: 'x' } }, 'validated');
+            t2.end();
+        });
+    });
+
+    t.test('classic calls', function (t2) {
+        var obj = validate.object({ required: { ip: validate.ip } });
+        var arr = validate.arrayOf(validate.ip);
+
+        obj(null, 'nic', { ip: 'x' }, function (err) {
+            t2.deepEqual(err, [
+                util_err.invalidParam('nic.ip', 'invalid IP address')
+            ], 'object');
+
+            arr(null, 'ips', [ '10.0.0.1', 'x' ], function (err2) {
+                t2.deepEqual(err2, [
+                    util_err.invalidParam('ips[1]', 'invalid IP address')
+                ], 'arrayOf');
+                t2.end();
+            });
+        });
+    });
+
+    t.end();
+});
+
+test('Field dependencies', function (t) {
+    var order = [];
+    var owner = 'e9e39136-bb4e-11e6-b107-ef7f99024cc4';
+
+    function delayed(name, ms) {
+        return function (_, field, val, callback) {
+            setTimeout(function () {
+                order.push(name);
+                callback(val === 'bad' ?
+                    util_err.invalidParam(field, 'bad') : null, val);
+            }, ms);
+        };
+    }
+
+    var opts = {
+        required: {
+            owner_uuid: [ validate.uuid, delayed('owner_uuid', 10) ]
+        },
+        optional: {
+            network_uuid: {
+                fn: validate.withContext(function (ctx, val, callback) {
+                    order.push('network_uuid');
+                    callback(null, { uuid: val, owner: ctx.deps.owner_uuid,
+                        zone: ctx.deps.zone });
+                }),
+                dependsOn: [ 'owner_uuid', 'zone' ]
+            },
+            zone: { fn: delayed('zone', 1), default: 'a' }
+        }
+    };
+
+    t.test('order and values', function (t2) {
+        validate.params(opts, null, {
+            owner_uuid: owner,
+            network_uuid: 'net'
+        }, function (err, res) {
+            t2.ifErr(err, 'Expecting success');
+            t2.deepEqual(order, [ 'owner_uuid', 'network_uuid' ],
+                'dependent validated last');
+            t2.deepEqual(res.network_uuid, {
+                uuid: 'net',
+                owner: owner,
+                zone: 'a'
+            }, 'dependencies passed');
+            t2.end();
+        });
+    });
+
+    t.test('failed dependency', function (t2) {
+        order = [];
+        validate.params(opts, null, {
+            owner_uuid: owner,
+            network_uuid: 'net',
+            zone: 'bad'
+        }, function (err) {
+            t2.deepEqual(err.body.errors, [
+                util_err.dependencyFailed('network_uuid', [ 'zone' ]),
+                util_err.invalidParam('zone', 'bad')
+            ], 'errors');
+            t2.equal(err.body.errors[0].message,
+                'not validated, as it depends on invalid parameters: zone',
+                'message');
+            t2.equal(order.indexOf('network_uuid'), -1, 'dependent skipped');
+            t2.end();
+        });
+    });
+
+    t.test('missing dependency', function (t2) {
+        validate.params(opts, null, { network_uuid: 'net' }, function (err) {
+            t2.deepEqual(err.body.errors, [
+                util_err.dependencyFailed('network_uuid', [ 'owner_uuid' ]),
+                util_err.missingParam('owner_uuid')
+            ], 'errors');
+            t2.end();
+        });
+    });
+
+    t.test('invalid options', function (t2) {
+        t2.throws(function () {
+            validate.compile({ required: {
+                a: { fn: validate.string, dependsOn: [ 'b' ] }
+            } });
+        }, /field "a" depends on unknown field "b"/, 'unknown field');
+
+        t2.throws(function () {
+            validate.compile({
+                required: {
+                    a: { fn: validate.string, dependsOn: [ 'b' ] },
+                    b: { fn: validate.string, dependsOn: [ 'c' ] }
+                },
+                optional: {
+                    c: { fn: validate.string, dependsOn: [ 'a' ] }
+                }
+            });
+        }, /dependency cycle: a -> b -> c -> a/, 'cycle');
+
+        t2.throws(function () {
+            validate.compile({ required: {
+                a: { fn: validate.string, dependsOn: [ 'a' ] }
+            } });
+        }, /dependency cycle: a -> a/, 'self-dependency');
+        t2.end();
+    });
+
+    t.end();
+});
+
+test('Multi collisions', function (t) {
+    function setter(multi, ms) {
+        return function (_, _name, val, callback) {
+            setTimeout(function () {
+                callback(null, val, multi);
+            }, ms);
+        };
+    }
+
+    t.test('priority', function (t2) {
+        var validator = validate.compile({
+            required: {
+                brand: {
+                    fn: setter({ os: 'smartos' }, 10),
+                    emits: [ 'os' ]
+                },
+                image: {
+                    fn: setter({ os: 'linux', brand: 'lx' }, 1),
+                    emits: [ 'os', 'brand' ],
+                    priority: 1
+                }
+            }
+        });
+
+        t2.deepEqual(validator.outputs, {
+            brand: [ 'image', 'brand' ],
+            image: [ 'image' ],
+            os: [ 'image', 'brand' ]
+        }, 'outputs');
+
+        validator(null, { brand: 'joyent', image: 'img' },
+                function (err, res) {
+            t2.ifErr(err, 'Expecting success');
+            t2.deepEqual(res, { brand: 'lx', image: 'img', os: 'linux' },
+                'higher priority wins');
+            t2.end();
+        });
+    });
+
+    t.test('undeclared collision', function (t2) {
+        validate.params({
+            required: {
+                a: setter({ c: 1 }, 1),
+                b: setter({ c: 2 }, 2)
+            }
+        }, null, { a: 1, b: 2 }, function (err) {
+            t2.ok(err instanceof util_err.InternalError, 'internal error');
+            t2.equal(err.cause().message,
+                'validators for fields "a" and "b" both set "c"', 'cause');
+            t2.end();
+        });
+    });
+
+    t.test('overwriting a field', function (t2) {
+        validate.params({
+            required: { a: setter({ b: 1 }, 1) },
+            optional: { b: { fn: validate.string, default: 'x' } }
+        }, null, { a: 1 }, function (err) {
+            t2.equal(err.cause().message,
+                'validators for fields "b" and "a" both set "b"', 'cause');
+            t2.end();
+        });
+    });
+
+    t.test('undeclared key', function (t2) {
+        validate.params({
+            required: { a: { fn: setter({ b: 1, c: 2 }, 1), emits: [ 'b' ] } }
+        }, null, { a: 1 }, function (err) {
+            t2.equal(err.cause().message,
+                'validator for field "a" set undeclared field "c"', 'cause');
+            t2.end();
+        });
+    });
+
+    t.test('invalid options', function (t2) {
+        t2.throws(function () {
+            validate.compile({ required: {
+                a: { fn: validate.string, emits: [ 'c' ] },
+                b: { fn: validate.string, emits: [ 'c' ] }
+            } });
+        }, /fields "a" and "b" may both set "c", so must have different/,
+            'same priority');
+
+        t2.throws(function () {
+            validate.compile({ required: {
+                a: { fn: validate.string, emits: 'c' }
+            } });
+        }, /opts\.required\[a\]\.emits \(\[string\]\) is required/,
+            'invalid emits');
+        t2.end();
+    });
+
+    t.end();
+});